@@ -0,0 +1,95 @@
+const dotenv = require('dotenv');
+const path = require('path');
+
+// Load environment variables
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+const splitList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+module.exports = {
+  port: process.env.PORT || 8080,
+  // Bearer token every route but the webhooks requires; unset, the API
+  // refuses all requests
+  apiToken: process.env.API_TOKEN,
+  // The bucket the build server uploads to; the API moves pointers in it
+  // and removes previews
+  aws: {
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    s3BucketName: process.env.S3_BUCKET_NAME,
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  },
+  builds: {
+    // 'local' runs build-server/main.sh as a child process; 'docker' runs the build image
+    launcher: process.env.BUILD_LAUNCHER || 'local',
+    buildServerDir: process.env.BUILD_SERVER_DIR || path.resolve(__dirname, '../../../build-server'),
+    image: process.env.BUILD_IMAGE || 'deploy-ninja-build-server',
+    maxConcurrent: parseInt(process.env.BUILD_MAX_CONCURRENT, 10) || 4,
+    // More than one build per project would race to publish the same site
+    maxConcurrentPerProject: parseInt(process.env.BUILD_MAX_CONCURRENT_PER_PROJECT, 10) || 1,
+    // How long a cancelled build may take to stop before it is killed
+    cancelGracePeriodMs: parseInt(process.env.BUILD_CANCEL_GRACE_PERIOD_MS, 10) || 30000,
+    // API settings the build server shares, handed to every build
+    forwardEnvPrefixes: splitList(
+      process.env.BUILD_FORWARD_ENV_PREFIXES ||
+      'AWS_,S3_,KAFKA_,SASL_,CLICKHOUSE_,BUILD_,UPLOAD_'
+    )
+  },
+  // Reverse proxies whose edge caches are purged when a project's live
+  // deployment changes
+  proxies: {
+    purgeUrls: splitList(process.env.PROXY_PURGE_URLS),
+    purgeToken: process.env.PROXY_PURGE_TOKEN,
+    timeoutMs: parseInt(process.env.PROXY_PURGE_TIMEOUT_MS || '5000', 10),
+    // Shared with the proxies (their ACCESS_SECRET) to sign share links
+    accessSecret: process.env.PROXY_ACCESS_SECRET,
+    // Where <project>.<domain> sites are served, to build share link URLs
+    rootDomain: process.env.PROXY_ROOT_DOMAIN
+  },
+  webhooks: {
+    // Shared with GitHub (HMAC key) and GitLab (token); unset disables webhooks
+    secret: process.env.WEBHOOK_SECRET,
+    maxPayloadSize: process.env.WEBHOOK_MAX_PAYLOAD_SIZE || '25mb'
+  },
+  logs: {
+    pageSize: parseInt(process.env.LOG_PAGE_SIZE, 10) || 100,
+    maxPageSize: parseInt(process.env.LOG_MAX_PAGE_SIZE, 10) || 1000,
+    // 'kafka' tails the build topics; 'memory' only sees events published in-process
+    bus: process.env.LOG_BUS || 'kafka',
+    heartbeatIntervalMs: parseInt(process.env.LOG_HEARTBEAT_INTERVAL_MS, 10) || 15000,
+    // How long a stream waits for a finished build's last lines to be stored
+    finalReplayAttempts: parseInt(process.env.LOG_FINAL_REPLAY_ATTEMPTS, 10) || 10,
+    finalReplayIntervalMs: parseInt(process.env.LOG_FINAL_REPLAY_INTERVAL_MS, 10) || 500
+  },
+  kafka: {
+    clientId: process.env.KAFKA_CLIENT_ID,
+    broker: process.env.KAFKA_BROKER,
+    caPath: process.env.KAFKA_CA_PATH || path.resolve(__dirname, '../../ca.pem'),
+    groupId: process.env.KAFKA_GROUP_ID || 'deploy-ninja-api',
+    topics: {
+      logs: process.env.KAFKA_LOGS_TOPIC || 'build-logs',
+      events: process.env.KAFKA_EVENTS_TOPIC || 'build-events'
+    },
+    sasl: {
+      username: process.env.SASL_USERNAME,
+      password: process.env.SASL_PASSWORD,
+      mechanism: process.env.SASL_MECHANISM
+    }
+  },
+  clickhouse: {
+    host: process.env.CLICKHOUSE_HOST,
+    database: process.env.CLICKHOUSE_DB,
+    username: process.env.CLICKHOUSE_USER,
+    password: process.env.CLICKHOUSE_PASSWORD
+  },
+  cors: {
+    origin: '*',
+    methods: 'GET,HEAD,PUT,PATCH,POST,DELETE',
+    allowedHeaders: 'Content-Type,Authorization,Last-Event-ID'
+  }
+};
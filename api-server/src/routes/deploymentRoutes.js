@@ -0,0 +1,34 @@
+const express = require('express');
+const deploymentService = require('../services/deploymentService');
+
+const createDeploymentRoutes = () => {
+  const router = express.Router();
+
+  router.get('/:id', async (req, res, next) => {
+    try {
+      res.json(await deploymentService.getDeployment(req.params.id));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:id/cancel', async (req, res, next) => {
+    try {
+      res.status(202).json(await deploymentService.cancelDeployment(req.params.id));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:id/promote', async (req, res, next) => {
+    try {
+      res.json(await deploymentService.promoteDeployment(req.params.id));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createDeploymentRoutes;
@@ -0,0 +1,149 @@
+const express = require('express');
+const config = require('../config/config');
+const logService = require('../services/logService');
+const logger = require('../utils/logger');
+
+const writeEvent = (res, { id, event, data }) => {
+  if (id !== undefined) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Replays stored lines after the cursor, then tails the bus until the
+// build ends. Bus events that arrive during the replay are held back and
+// de-duplicated by sequence so the client sees every line exactly once
+const streamLogs = async (req, res, logBus) => {
+  const deploymentId = req.params.id;
+  // EventSource resends the last id it saw when it reconnects
+  let lastSequence = logService.parseCursor(req.query.cursor ?? req.get('Last-Event-ID'));
+  await logService.assertDeployment(deploymentId);
+  let replaying = true;
+  let ending = false;
+  let closed = false;
+  const held = [];
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  // Opens the stream for the client even before there is a line to send
+  res.flushHeaders();
+
+  const sendLine = (line) => {
+    if (closed || line.sequence <= lastSequence) return;
+    lastSequence = line.sequence;
+    writeEvent(res, { id: line.sequence, event: 'log', data: line });
+  };
+
+  const finish = (status) => {
+    if (closed) return;
+    writeEvent(res, { event: 'end', data: { status } });
+    res.end();
+    closed = true;
+  };
+
+  const fail = (error) => {
+    logger.error(`Log stream failed for deployment ${deploymentId}:`, error.message);
+    if (!closed) {
+      writeEvent(res, { event: 'error', data: { error: 'Failed to load build logs' } });
+      res.end();
+      closed = true;
+    }
+  };
+
+  const release = () => {
+    while (!replaying && held.length > 0) handleEvent(held.shift());
+  };
+
+  // The end of a build can overtake its last lines, which are fetched from
+  // ClickHouse first; bus events are held back again meanwhile
+  const end = async (event, status) => {
+    if (ending) return;
+    ending = true;
+    replaying = true;
+    try {
+      await logService.replayUntil(deploymentId, lastSequence, event.data?.lastSequence, sendLine);
+      replaying = false;
+      release();
+      finish(status);
+    } catch (error) {
+      fail(error);
+    }
+  };
+
+  const handleEvent = (event) => {
+    const line = logService.toLine(event);
+    if (line) return sendLine(line);
+
+    const status = logService.getFinishedStatus(event);
+    if (status) end(event, status);
+  };
+
+  const unsubscribe = logBus.subscribe(deploymentId, (event) => {
+    if (replaying) held.push(event);
+    else handleEvent(event);
+  });
+
+  // Comments keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), config.logs.heartbeatIntervalMs);
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    await logService.replay(deploymentId, lastSequence, sendLine);
+
+    // A finished build gets no more bus events; its lines are all stored
+    // before its final status is recorded
+    const result = await logService.getBuildResult(deploymentId);
+    if (result) {
+      await logService.replay(deploymentId, lastSequence, sendLine);
+    }
+
+    ending = Boolean(result);
+    replaying = false;
+    release();
+    if (result) finish(result.status);
+  } catch (error) {
+    fail(error);
+  }
+};
+
+const createLogRoutes = (logBus) => {
+  const router = express.Router();
+
+  // JSON pages of stored lines, or an SSE stream for EventSource clients
+  router.get('/:id/logs', async (req, res, next) => {
+    try {
+      if (req.accepts(['json', 'text/event-stream']) === 'text/event-stream') {
+        await streamLogs(req, res, logBus);
+        return;
+      }
+
+      await logService.assertDeployment(req.params.id);
+      const page = await logService.getPage(req.params.id, {
+        cursor: req.query.cursor,
+        limit: req.query.limit
+      });
+      res.json(page);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id/logs/stream', async (req, res, next) => {
+    try {
+      await streamLogs(req, res, logBus);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createLogRoutes;
@@ -0,0 +1,101 @@
+const express = require('express');
+const projectService = require('../services/projectService');
+const deploymentService = require('../services/deploymentService');
+const previewService = require('../services/previewService');
+const accessService = require('../services/accessService');
+const analyticsService = require('../services/analyticsService');
+
+const createProjectRoutes = (onBuildEvent) => {
+  const router = express.Router();
+
+  router.post('/', async (req, res, next) => {
+    try {
+      const project = await projectService.createProject(req.body);
+      res.status(201).json(projectService.toResponse(project));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const project = await projectService.getProject(req.params.id);
+      res.json(projectService.toResponse(project));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id/analytics', async (req, res, next) => {
+    try {
+      const project = await projectService.getProject(req.params.id);
+      res.json(await analyticsService.getProjectAnalytics(project.id, req.query));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:id/deployments', async (req, res, next) => {
+    try {
+      const { commitSha, commitMessage, branch, previewAlias, force } = req.body || {};
+      const deployment = await deploymentService.createDeployment(req.params.id, {
+        onEvent: onBuildEvent,
+        commit: { sha: commitSha, message: commitMessage, branch },
+        previewAlias,
+        force: force === true
+      });
+      res.status(202).json(deployment);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/:id/previews/:alias', async (req, res, next) => {
+    try {
+      const project = await projectService.getProject(req.params.id);
+      res.json(await previewService.removePreview(project.id, req.params.alias));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id/access', async (req, res, next) => {
+    try {
+      const project = await projectService.getProject(req.params.id);
+      res.json(accessService.toResponse(project.id, await accessService.getPolicy(project.id)));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.put('/:id/access', async (req, res, next) => {
+    try {
+      const project = await projectService.getProject(req.params.id);
+      res.json(await accessService.setPolicy(project.id, req.body || {}));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/:id/access', async (req, res, next) => {
+    try {
+      const project = await projectService.getProject(req.params.id);
+      res.json(await accessService.removePolicy(project.id));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/:id/share-links', async (req, res, next) => {
+    try {
+      const project = await projectService.getProject(req.params.id);
+      res.status(201).json(await accessService.createShareLink(project.id, req.body || {}));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createProjectRoutes;
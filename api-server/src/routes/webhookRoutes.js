@@ -0,0 +1,28 @@
+const express = require('express');
+const config = require('../config/config');
+const webhookService = require('../services/webhookService');
+
+const createWebhookRoutes = (onBuildEvent) => {
+  const router = express.Router();
+
+  // Signatures are computed over the exact bytes that were sent
+  router.use(express.json({
+    limit: config.webhooks.maxPayloadSize,
+    verify: (req, res, buffer) => {
+      req.rawBody = buffer;
+    }
+  }));
+
+  router.post('/:provider', async (req, res, next) => {
+    try {
+      const result = await webhookService.handle(req.params.provider, req, { onEvent: onBuildEvent });
+      res.status(result.deployments ? 202 : 200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createWebhookRoutes;
@@ -0,0 +1,115 @@
+const express = require('express');
+const cors = require('cors');
+const config = require('./config/config');
+const kafkaService = require('./services/kafkaService');
+const clickhouseService = require('./services/clickhouseService');
+const createProjectRoutes = require('./routes/projectRoutes');
+const createDeploymentRoutes = require('./routes/deploymentRoutes');
+const createLogRoutes = require('./routes/logRoutes');
+const createWebhookRoutes = require('./routes/webhookRoutes');
+const LogBus = require('./utils/logBus');
+const requireApiToken = require('./utils/apiAuth');
+const logger = require('./utils/logger');
+
+class ApiServer {
+  constructor() {
+    this.app = express();
+    this.server = null;
+    this.logBus = new LogBus();
+  }
+
+  async initialize() {
+    if (!config.apiToken) {
+      logger.error('API_TOKEN is not set; every API request will be refused');
+    }
+    await clickhouseService.initialize();
+    this.setupRoutes();
+
+    if (config.logs.bus === 'kafka') {
+      const { logs, events } = config.kafka.topics;
+      await kafkaService.subscribe([logs, events], event => this.logBus.publish(event));
+      logger.info(`Tailing Kafka topics ${logs} and ${events}`);
+    } else {
+      logger.warn('Using the in-memory log bus; only in-process events are streamed');
+    }
+
+    this.server = this.app.listen(config.port, () => {
+      logger.info(`API server running on port ${config.port}`);
+    });
+  }
+
+  setupRoutes() {
+    this.app.use(cors(config.cors));
+
+    // Kafka already carries the events of every build; only the in-memory
+    // bus needs them from the output of builds started here
+    const onBuildEvent = config.logs.bus === 'memory'
+      ? event => this.logBus.publish(event)
+      : () => {};
+
+    // Parses its own body, before the shared JSON parser consumes it, and
+    // is authenticated by the provider's signature instead of the API token
+    this.app.use('/webhooks', createWebhookRoutes(onBuildEvent));
+
+    this.app.use(requireApiToken);
+    this.app.use(express.json());
+
+    this.app.use('/projects', createProjectRoutes(onBuildEvent));
+    this.app.use('/deployments', createDeploymentRoutes());
+    this.app.use('/deployments', createLogRoutes(this.logBus));
+
+    this.app.use((req, res) => {
+      res.status(404).json({ error: 'Not found' });
+    });
+
+    this.app.use((error, req, res, next) => {
+      if (res.headersSent) return next(error);
+
+      // HttpErrors are the client's fault; anything else is ours
+      const status = error.status || 500;
+      if (status >= 500) {
+        logger.error(`Request failed for ${req.method} ${req.originalUrl}:`, error.message);
+      }
+      res.status(status).json({
+        error: status >= 500 ? 'Internal server error' : error.message,
+        ...(status < 500 && error.details ? { details: error.details } : {})
+      });
+    });
+  }
+
+  async shutdown() {
+    if (this.server) {
+      const closed = new Promise((resolve) => this.server.close(resolve));
+      // Open log streams would otherwise hold the server up indefinitely
+      this.server.closeAllConnections();
+      await closed;
+    }
+    await kafkaService.disconnect();
+    await clickhouseService.disconnect();
+    logger.info('API server stopped');
+  }
+}
+
+// Start the API server
+if (require.main === module) {
+  const apiServer = new ApiServer();
+
+  apiServer.initialize().catch((error) => {
+    logger.error('Fatal error:', error);
+    process.exit(1);
+  });
+
+  process.on('SIGTERM', async () => {
+    logger.info('Received SIGTERM');
+    await apiServer.shutdown();
+    process.exit(0);
+  });
+
+  process.on('SIGINT', async () => {
+    logger.info('Received SIGINT');
+    await apiServer.shutdown();
+    process.exit(0);
+  });
+}
+
+module.exports = ApiServer;
@@ -0,0 +1,169 @@
+const net = require('net');
+const Ajv = require('ajv');
+const config = require('../config/config');
+const s3Service = require('./s3Service');
+const purgeService = require('./purgeService');
+const HttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const { hashPassword, signAccessToken } = require('../utils/accessTokens');
+
+const DEFAULT_SHARE_LINK_TTL_SECONDS = 7 * 24 * 60 * 60;
+const MAX_SHARE_LINK_TTL_SECONDS = 30 * 24 * 60 * 60;
+// Query parameter the proxy exchanges for a session cookie
+const SHARE_PARAMETER = '__share';
+
+// A password, sent once and only ever stored hashed, and/or addresses the
+// site may be reached from. `scope: previews` leaves production public.
+const accessSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    scope: { enum: ['all', 'previews'] },
+    password: { type: ['string', 'null'], minLength: 8, maxLength: 256 },
+    // 'basic' answers with a browser credentials prompt, 'page' with a form
+    mode: { enum: ['basic', 'page'] },
+    ipAllowlist: {
+      type: 'array',
+      maxItems: 100,
+      items: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+const shareLinkSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    expiresIn: { type: 'integer', minimum: 60, maximum: MAX_SHARE_LINK_TTL_SECONDS },
+    previewAlias: { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$' },
+    path: { type: 'string', pattern: '^/' }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateAccess = ajv.compile(accessSchema);
+const validateShareLink = ajv.compile(shareLinkSchema);
+
+const formatErrors = (errors) => errors
+  .map(error => `${error.instancePath || '/'} ${error.message}`)
+  .join('; ');
+
+// Same parsing the proxy does, so a policy it would reject is never written
+const isValidAllowlistEntry = (entry) => {
+  const [address, prefix, ...rest] = entry.split('/');
+  const family = net.isIP(address);
+  if (!family || rest.length > 0) return false;
+  if (prefix === undefined) return true;
+
+  const bits = Number(prefix);
+  return /^\d+$/.test(prefix) && bits <= (family === 4 ? 32 : 128);
+};
+
+// Access policies live in the bucket next to the domain table, where the
+// reverse proxy reads them; there is no copy in ClickHouse
+class AccessService {
+  async getPolicy(projectId) {
+    return s3Service.getJson(s3Service.getAccessPolicyKey(projectId));
+  }
+
+  // Replaces the policy. An omitted password keeps the current one, null
+  // removes it; a policy that restricts nothing is deleted.
+  async setPolicy(projectId, body) {
+    if (!validateAccess(body)) {
+      throw new HttpError(`Invalid access policy: ${formatErrors(validateAccess.errors)}`, 400, {
+        errors: validateAccess.errors
+      });
+    }
+
+    const ipAllowlist = body.ipAllowlist || [];
+    const invalid = ipAllowlist.filter(entry => !isValidAllowlistEntry(entry));
+    if (invalid.length > 0) {
+      throw new HttpError(`Invalid IP addresses or CIDR ranges: ${invalid.join(', ')}`, 400);
+    }
+
+    const current = await this.getPolicy(projectId);
+    let passwordHash = current?.password?.hash || null;
+    if (body.password !== undefined) {
+      passwordHash = body.password === null ? null : await hashPassword(body.password);
+    }
+
+    if (!passwordHash && ipAllowlist.length === 0) {
+      return this.removePolicy(projectId);
+    }
+
+    const policy = {
+      projectUri: projectId,
+      scope: body.scope || 'all',
+      password: passwordHash ? { mode: body.mode || 'page', hash: passwordHash } : null,
+      ipAllowlist,
+      updatedAt: new Date().toISOString()
+    };
+
+    await s3Service.putJson(s3Service.getAccessPolicyKey(projectId), policy);
+    await purgeService.purgeProject(projectId);
+    logger.info(`Updated access policy of ${projectId}`);
+    return this.toResponse(projectId, policy);
+  }
+
+  async removePolicy(projectId) {
+    await s3Service.deleteObject(s3Service.getAccessPolicyKey(projectId));
+    await purgeService.purgeProject(projectId);
+    logger.info(`Removed access policy of ${projectId}`);
+    return this.toResponse(projectId, null);
+  }
+
+  // A link that lets whoever holds it past the password until it expires
+  async createShareLink(projectId, body = {}) {
+    if (!validateShareLink(body)) {
+      throw new HttpError(`Invalid share link: ${formatErrors(validateShareLink.errors)}`, 400, {
+        errors: validateShareLink.errors
+      });
+    }
+    if (!config.proxies.accessSecret) {
+      throw new HttpError('Share links are not enabled', 503);
+    }
+
+    const policy = await this.getPolicy(projectId);
+    if (!policy?.password) {
+      throw new HttpError(`Project ${projectId} is not password protected`, 409);
+    }
+
+    const expiresAt = Math.floor(Date.now() / 1000) + (body.expiresIn || DEFAULT_SHARE_LINK_TTL_SECONDS);
+    const token = signAccessToken(config.proxies.accessSecret, {
+      purpose: 'share',
+      projectUri: projectId,
+      passwordHash: policy.password.hash,
+      expiresAt
+    });
+
+    let url = null;
+    if (config.proxies.rootDomain) {
+      const label = body.previewAlias ? `${body.previewAlias}--${projectId}` : projectId;
+      const link = new URL(body.path || '/', `https://${label}.${config.proxies.rootDomain}`);
+      link.searchParams.set(SHARE_PARAMETER, token);
+      url = link.toString();
+    }
+
+    return {
+      projectId,
+      parameter: SHARE_PARAMETER,
+      token,
+      url,
+      expiresAt: new Date(expiresAt * 1000).toISOString()
+    };
+  }
+
+  // The password hash stays in the bucket
+  toResponse(projectId, policy) {
+    return {
+      projectId,
+      scope: policy ? policy.scope : 'all',
+      passwordProtected: Boolean(policy?.password),
+      mode: policy?.password ? policy.password.mode : null,
+      ipAllowlist: policy ? policy.ipAllowlist : [],
+      updatedAt: policy ? policy.updatedAt : null
+    };
+  }
+}
+
+module.exports = new AccessService();
@@ -0,0 +1,63 @@
+const clickhouseService = require('./clickhouseService');
+const HttpError = require('../utils/httpError');
+
+const { TRAFFIC_INTERVALS } = clickhouseService;
+
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+const MAX_TOP_PATHS = 100;
+// Minute buckets over anything longer are thousands of rows per series
+const MAX_MINUTE_RANGE_MS = DEFAULT_RANGE_MS;
+
+const parseDate = (value, name, fallback) => {
+  if (value === undefined) return fallback;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(`Invalid ${name}: ${value}`, 400);
+  }
+  return date;
+};
+
+class AnalyticsService {
+  // Traffic of a project's sites between `from` and `to` (ISO dates, the
+  // last day by default), bucketed by the hour or, past a week, the day
+  async getProjectAnalytics(projectId, query = {}) {
+    const to = parseDate(query.to, 'to', new Date());
+    const from = parseDate(query.from, 'from', new Date(to.getTime() - DEFAULT_RANGE_MS));
+    if (from >= to) {
+      throw new HttpError('from must be before to', 400);
+    }
+
+    const interval = query.interval ||
+      (to - from > 7 * DEFAULT_RANGE_MS ? 'day' : 'hour');
+    if (typeof interval !== 'string' || !Object.hasOwn(TRAFFIC_INTERVALS, interval)) {
+      throw new HttpError(`Invalid interval: ${interval}; use ${Object.keys(TRAFFIC_INTERVALS).join(', ')}`, 400);
+    }
+    if (interval === 'minute' && to - from > MAX_MINUTE_RANGE_MS) {
+      throw new HttpError('interval=minute is limited to ranges of 24 hours or less', 400);
+    }
+
+    const limit = query.limit === undefined ? 10 : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_PATHS) {
+      throw new HttpError(`limit must be between 1 and ${MAX_TOP_PATHS}`, 400);
+    }
+
+    const [topPaths, errorRates, bandwidth] = await Promise.all([
+      clickhouseService.getTopPaths(projectId, { from, to, limit }),
+      clickhouseService.getErrorRates(projectId, { from, to, interval }),
+      clickhouseService.getBandwidth(projectId, { from, to, interval })
+    ]);
+
+    return {
+      projectId,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      interval,
+      topPaths,
+      errorRates,
+      bandwidth
+    };
+  }
+}
+
+module.exports = new AnalyticsService();
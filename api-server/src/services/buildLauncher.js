@@ -0,0 +1,218 @@
+const { spawn, execFile } = require('child_process');
+const os = require('os');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Host variables a local build needs to find git and node
+const LOCAL_HOST_ENV = ['PATH', 'HOME', 'USER', 'LANG', 'TZ', 'TMPDIR'];
+
+// How many trailing stderr lines explain a build that died without reporting
+const STDERR_TAIL_LINES = 20;
+
+// Starts one build server run per deployment, either as a child process
+// running build-server/main.sh or as a container of the build image
+class BuildLauncher {
+  // Everything the build server reads from its environment
+  getBuildEnvironment(project, deployment) {
+    const { settings } = project;
+    const forwarded = Object.entries(process.env).filter(([key]) =>
+      config.builds.forwardEnvPrefixes.some(prefix => key.startsWith(prefix))
+    );
+
+    const buildEnv = {
+      ...Object.fromEntries(forwarded),
+      PROJECT_URI: project.id,
+      DEPLOYMENT_ID: deployment.id,
+      GITHUB_REPO_URL: project.repositoryUrl
+    };
+
+    // Pins the clone to the commit the deployment was created for
+    if (deployment.commitSha) buildEnv.GIT_COMMIT_SHA = deployment.commitSha;
+    if (deployment.branch) buildEnv.GIT_BRANCH = deployment.branch;
+    // Activates the build as this preview instead of production
+    if (deployment.previewAlias) buildEnv.PROJECT_PREVIEW_ALIAS = deployment.previewAlias;
+    if (deployment.forceRebuild) buildEnv.BUILD_FORCE_REBUILD = 'true';
+
+    const settingVariables = {
+      PROJECT_INSTALL_COMMAND: settings.installCommand,
+      PROJECT_BUILD_COMMAND: settings.buildCommand,
+      PROJECT_ROOT_DIR: settings.rootDirectory,
+      PROJECT_OUTPUT_DIR: settings.outputDirectory
+    };
+    for (const [key, value] of Object.entries(settingVariables)) {
+      if (value) buildEnv[key] = value;
+    }
+
+    for (const [key, value] of Object.entries(settings.env || {})) {
+      buildEnv[`PROJECT_ENVIRONMENT_${key}`] = value;
+    }
+    if (settings.secretEnv?.length) {
+      buildEnv.PROJECT_SECRET_ENV_KEYS = settings.secretEnv.join(',');
+    }
+
+    return buildEnv;
+  }
+
+  getContainerName(deploymentId) {
+    return `deploy-ninja-build-${deploymentId}`;
+  }
+
+  createProcess(buildEnv, deploymentId) {
+    if (config.builds.launcher === 'docker') {
+      // Values travel through the docker CLI's environment, not its argv
+      const args = [
+        'run',
+        '--rm',
+        '--name', this.getContainerName(deploymentId),
+        ...Object.keys(buildEnv).flatMap(key => ['-e', key]),
+        config.builds.image
+      ];
+      return spawn('docker', args, {
+        env: { ...process.env, ...buildEnv },
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+    }
+
+    const hostEnv = LOCAL_HOST_ENV
+      .filter(key => process.env[key])
+      .map(key => [key, process.env[key]]);
+
+    return spawn('bash', ['main.sh'], {
+      cwd: config.builds.buildServerDir,
+      // Own process group, so stop() reaches git as well as the build server
+      detached: true,
+      env: {
+        ...Object.fromEntries(hostEnv),
+        ...buildEnv,
+        PROJECT_SOURCE_DIR: path.join(os.tmpdir(), `deploy-ninja-${deploymentId}`)
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  }
+
+  // Resolves once the build has started. onEvent receives build events the
+  // build server prints with its stdout sink; onExit gets the exit code and
+  // the end of stderr
+  launch(project, deployment, { onEvent, onExit }) {
+    const buildEnv = this.getBuildEnvironment(project, deployment);
+
+    return new Promise((resolve, reject) => {
+      const child = this.createProcess(buildEnv, deployment.id);
+      const stderrTail = [];
+
+      this.readLines(child.stdout, (line) => {
+        if (!line.startsWith('{')) return;
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (error) {
+          // Not an event, just build server output that happens to look like one
+          return;
+        }
+        // A build can only report on itself, never on another deployment
+        if (event?.deploymentId === deployment.id) onEvent(event);
+      });
+
+      this.readLines(child.stderr, (line) => {
+        stderrTail.push(line);
+        if (stderrTail.length > STDERR_TAIL_LINES) stderrTail.shift();
+      });
+
+      let started = false;
+
+      child.once('spawn', () => {
+        started = true;
+        logger.info(`Started build ${deployment.id} for project ${project.id} (pid ${child.pid})`);
+        resolve(child);
+      });
+
+      child.once('error', (error) => {
+        logger.error(`Failed to start build ${deployment.id}:`, error.message);
+        reject(error);
+      });
+
+      child.once('close', (code, signal) => {
+        if (started) onExit({ code, signal, stderr: stderrTail.join('\n') });
+      });
+    });
+  }
+
+  // SIGTERM asks the build server to cancel; SIGKILL ends it outright
+  stop(child, deploymentId, signal) {
+    if (child.exitCode !== null || child.signalCode !== null) return;
+
+    if (config.builds.launcher === 'docker') {
+      // The docker CLI forwards SIGTERM to the container but cannot pass on SIGKILL
+      if (signal === 'SIGKILL') {
+        spawn('docker', ['kill', this.getContainerName(deploymentId)], { stdio: 'ignore' })
+          .on('error', error => logger.error(`Failed to kill build ${deploymentId}:`, error.message));
+      } else {
+        child.kill(signal);
+      }
+      return;
+    }
+
+    if (signal === 'SIGKILL') {
+      this.killProcessTree(child);
+      return;
+    }
+
+    try {
+      process.kill(-child.pid, signal);
+    } catch (error) {
+      child.kill(signal);
+    }
+  }
+
+  // The build server runs each step in a process group of its own, which
+  // outlives the build server's group once that is killed. Every group in
+  // the tree is looked up first, then all of them are killed.
+  killProcessTree(child) {
+    execFile('ps', ['-A', '-o', 'pid=,ppid=,pgid='], (error, stdout) => {
+      const groups = new Set([child.pid]);
+
+      if (error) {
+        logger.error(`Failed to list the processes of build ${child.pid}:`, error.message);
+      } else {
+        const processes = stdout.trim().split('\n').map(row => row.trim().split(/\s+/).map(Number));
+        const tree = new Set([child.pid]);
+        // Repeat until nothing joins, whatever order ps lists processes in
+        let grown = true;
+        while (grown) {
+          grown = false;
+          for (const [pid, ppid, pgid] of processes) {
+            if (tree.has(ppid) && !tree.has(pid)) {
+              tree.add(pid);
+              if (pgid > 1) groups.add(pgid);
+              grown = true;
+            }
+          }
+        }
+      }
+
+      for (const pgid of groups) {
+        try {
+          process.kill(-pgid, 'SIGKILL');
+        } catch (killError) {
+          if (pgid === child.pid) child.kill('SIGKILL');
+        }
+      }
+    });
+  }
+
+  readLines(readable, onLine) {
+    let partial = '';
+    readable.setEncoding('utf8');
+    readable.on('data', (chunk) => {
+      const lines = `${partial}${chunk}`.split('\n');
+      partial = lines.pop();
+      lines.forEach(onLine);
+    });
+    readable.on('end', () => {
+      if (partial) onLine(partial);
+    });
+  }
+}
+
+module.exports = new BuildLauncher();
@@ -0,0 +1,381 @@
+const { createClient } = require('@clickhouse/client');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Bucket functions for traffic over time, by interval name
+const TRAFFIC_INTERVALS = {
+  minute: 'toStartOfMinute',
+  hour: 'toStartOfHour',
+  day: 'toStartOfDay'
+};
+
+// Owns the projects and deployments tables and reads the ones the build
+// server and the reverse proxy write
+class ClickHouseService {
+  constructor() {
+    this.client = createClient({
+      host: config.clickhouse.host,
+      username: config.clickhouse.username,
+      password: config.clickhouse.password,
+      database: config.clickhouse.database
+    });
+  }
+
+  async initialize() {
+    await this.client.ping();
+    logger.info('ClickHouse connection established');
+
+    // Rows are never updated in place: each change inserts a newer version
+    // and reads pick the latest one
+    const createProjectsTable = `
+      CREATE TABLE IF NOT EXISTS projects (
+        project_id String,
+        repository_url String,
+        settings String,
+        created_at DateTime DEFAULT now()
+      )
+      ENGINE = ReplacingMergeTree(created_at)
+      ORDER BY project_id;
+    `;
+
+    const createDeploymentsTable = `
+      CREATE TABLE IF NOT EXISTS deployments (
+        deployment_id String,
+        project_id String,
+        status String,
+        error_message String DEFAULT '',
+        commit_sha String DEFAULT '',
+        commit_message String DEFAULT '',
+        branch String DEFAULT '',
+        preview_alias String DEFAULT '',
+        promoted_at Nullable(DateTime64(3)),
+        created_at DateTime64(3),
+        updated_at DateTime64(3) DEFAULT now64(3)
+      )
+      ENGINE = ReplacingMergeTree(updated_at)
+      ORDER BY deployment_id;
+    `;
+
+    // Columns added after the first release, for tables created before them
+    const migrations = [
+      `ALTER TABLE deployments ADD COLUMN IF NOT EXISTS commit_sha String DEFAULT ''`,
+      `ALTER TABLE deployments ADD COLUMN IF NOT EXISTS commit_message String DEFAULT ''`,
+      `ALTER TABLE deployments ADD COLUMN IF NOT EXISTS branch String DEFAULT ''`,
+      `ALTER TABLE deployments ADD COLUMN IF NOT EXISTS preview_alias String DEFAULT ''`,
+      `ALTER TABLE deployments ADD COLUMN IF NOT EXISTS promoted_at Nullable(DateTime64(3))`
+    ];
+
+    await this.client.exec({ query: createProjectsTable });
+    await this.client.exec({ query: createDeploymentsTable });
+    for (const query of migrations) {
+      await this.client.exec({ query });
+    }
+    logger.info('ClickHouse tables verified');
+  }
+
+  async insert(table, values) {
+    await this.client.insert({
+      table,
+      values,
+      format: 'JSONEachRow',
+      // Accept the ISO timestamps JSON.stringify produces for Dates
+      clickhouse_settings: { date_time_input_format: 'best_effort' }
+    });
+  }
+
+  async query(query, params) {
+    const result = await this.client.query({
+      query,
+      query_params: params,
+      format: 'JSONEachRow'
+    });
+    return result.json();
+  }
+
+  // The build server and the reverse proxy create their tables on their
+  // first run; until then there is simply nothing to read
+  async queryExternalTable(query, params) {
+    try {
+      return await this.query(query, params);
+    } catch (error) {
+      if (error.type === 'UNKNOWN_TABLE') return [];
+      throw error;
+    }
+  }
+
+  // Lines after `afterSequence`, oldest first
+  async getBuildLogs(deploymentId, { afterSequence = -1, limit = 100 } = {}) {
+    const rows = await this.queryExternalTable(`
+      SELECT sequence, stream, level, log, toUnixTimestamp(timestamp) AS unix_time
+      FROM log_events
+      WHERE deployment_id = {deployment_id: String}
+        AND sequence >= {from_sequence: UInt64}
+      ORDER BY sequence ASC, timestamp ASC
+      LIMIT {limit: UInt32}
+    `, {
+      deployment_id: deploymentId,
+      from_sequence: afterSequence + 1,
+      limit
+    });
+
+    return rows.map(row => ({
+      // 64-bit integers come back as strings
+      sequence: Number(row.sequence),
+      stream: row.stream,
+      level: row.level,
+      line: row.log,
+      timestamp: new Date(Number(row.unix_time) * 1000).toISOString()
+    }));
+  }
+
+  // The overall row the build server records when a build ends, or null
+  // while it is still running
+  async getBuildResult(deploymentId) {
+    const rows = await this.queryExternalTable(`
+      SELECT status, error_message, toUnixTimestamp(end_time) AS unix_end_time
+      FROM build_metrics
+      WHERE deployment_id = {deployment_id: String}
+        AND phase = 'deployment'
+      ORDER BY timestamp DESC
+      LIMIT 1
+    `, {
+      deployment_id: deploymentId
+    });
+
+    if (rows.length === 0) return null;
+    return {
+      status: rows[0].status,
+      errorMessage: rows[0].error_message,
+      finishedAt: new Date(Number(rows[0].unix_end_time) * 1000).toISOString()
+    };
+  }
+
+  async insertProject({ id, repositoryUrl, settings }) {
+    await this.insert('projects', [{
+      project_id: id,
+      repository_url: repositoryUrl,
+      settings: JSON.stringify(settings),
+      created_at: new Date()
+    }]);
+  }
+
+  async getProject(projectId) {
+    const rows = await this.query(`
+      SELECT project_id, repository_url, settings, toUnixTimestamp(created_at) AS unix_created_at
+      FROM projects
+      WHERE project_id = {project_id: String}
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, {
+      project_id: projectId
+    });
+
+    return rows.length > 0 ? this.toProject(rows[0]) : null;
+  }
+
+  async listProjects() {
+    const rows = await this.query(`
+      SELECT project_id, repository_url, settings, toUnixTimestamp(created_at) AS unix_created_at
+      FROM projects
+      ORDER BY created_at DESC
+      LIMIT 1 BY project_id
+    `);
+
+    return rows.map(row => this.toProject(row));
+  }
+
+  toProject(row) {
+    return {
+      id: row.project_id,
+      repositoryUrl: row.repository_url,
+      settings: JSON.parse(row.settings),
+      createdAt: new Date(Number(row.unix_created_at) * 1000).toISOString()
+    };
+  }
+
+  async upsertDeployment({
+    id,
+    projectId,
+    status,
+    errorMessage,
+    commitSha,
+    commitMessage,
+    branch,
+    previewAlias,
+    promotedAt,
+    createdAt
+  }) {
+    await this.insert('deployments', [{
+      deployment_id: id,
+      project_id: projectId,
+      status,
+      error_message: errorMessage || '',
+      commit_sha: commitSha || '',
+      commit_message: commitMessage || '',
+      branch: branch || '',
+      preview_alias: previewAlias || '',
+      promoted_at: promotedAt || null,
+      created_at: createdAt,
+      updated_at: new Date()
+    }]);
+  }
+
+  async getDeployment(deploymentId) {
+    const rows = await this.query(`
+      SELECT
+        deployment_id,
+        project_id,
+        status,
+        error_message,
+        commit_sha,
+        commit_message,
+        branch,
+        preview_alias,
+        toUnixTimestamp64Milli(promoted_at) AS unix_promoted_at,
+        toUnixTimestamp64Milli(created_at) AS unix_created_at,
+        toUnixTimestamp64Milli(updated_at) AS unix_updated_at
+      FROM deployments
+      WHERE deployment_id = {deployment_id: String}
+      ORDER BY updated_at DESC
+      LIMIT 1
+    `, {
+      deployment_id: deploymentId
+    });
+
+    if (rows.length === 0) return null;
+    return {
+      id: rows[0].deployment_id,
+      projectId: rows[0].project_id,
+      status: rows[0].status,
+      errorMessage: rows[0].error_message,
+      commitSha: rows[0].commit_sha || null,
+      commitMessage: rows[0].commit_message || null,
+      branch: rows[0].branch || null,
+      previewAlias: rows[0].preview_alias || null,
+      promotedAt: rows[0].unix_promoted_at ? new Date(Number(rows[0].unix_promoted_at)).toISOString() : null,
+      createdAt: new Date(Number(rows[0].unix_created_at)).toISOString(),
+      updatedAt: new Date(Number(rows[0].unix_updated_at)).toISOString()
+    };
+  }
+
+  // Every deployment ever built for a project's preview alias, whatever
+  // its status, and whether it was ever promoted to production
+  async listPreviewDeployments(projectId, previewAlias) {
+    const rows = await this.query(`
+      SELECT
+        deployment_id,
+        countIf(promoted_at IS NOT NULL) > 0 AS promoted
+      FROM deployments
+      WHERE project_id = {project_id: String}
+        AND preview_alias = {preview_alias: String}
+      GROUP BY deployment_id
+    `, {
+      project_id: projectId,
+      preview_alias: previewAlias
+    });
+
+    return rows.map(row => ({ id: row.deployment_id, promoted: Boolean(row.promoted) }));
+  }
+
+  // Site traffic the reverse proxy records, between two Dates
+
+  async getTopPaths(projectId, { from, to, limit = 10 }) {
+    const rows = await this.queryExternalTable(`
+      SELECT
+        path,
+        count() AS requests,
+        countIf(status >= 400) AS errors,
+        sum(bytes) AS bytes
+      FROM site_requests
+      WHERE project_uri = {project_id: String}
+        AND timestamp >= fromUnixTimestamp64Milli({from_ms: Int64})
+        AND timestamp < fromUnixTimestamp64Milli({to_ms: Int64})
+      GROUP BY path
+      ORDER BY requests DESC, path ASC
+      LIMIT {limit: UInt32}
+    `, {
+      project_id: projectId,
+      from_ms: from.getTime(),
+      to_ms: to.getTime(),
+      limit
+    });
+
+    return rows.map(row => ({
+      path: row.path,
+      requests: Number(row.requests),
+      errors: Number(row.errors),
+      bytes: Number(row.bytes)
+    }));
+  }
+
+  // Requests per `interval` and the share of them that failed, 4xx and
+  // 5xx apart; intervals without traffic are left out
+  async getErrorRates(projectId, { from, to, interval = 'hour' }) {
+    const rows = await this.queryExternalTable(`
+      SELECT
+        toUnixTimestamp(${TRAFFIC_INTERVALS[interval]}(timestamp)) AS unix_time,
+        count() AS requests,
+        countIf(status >= 400 AND status < 500) AS client_errors,
+        countIf(status >= 500) AS server_errors
+      FROM site_requests
+      WHERE project_uri = {project_id: String}
+        AND timestamp >= fromUnixTimestamp64Milli({from_ms: Int64})
+        AND timestamp < fromUnixTimestamp64Milli({to_ms: Int64})
+      GROUP BY unix_time
+      ORDER BY unix_time ASC
+    `, {
+      project_id: projectId,
+      from_ms: from.getTime(),
+      to_ms: to.getTime()
+    });
+
+    return rows.map((row) => {
+      const requests = Number(row.requests);
+      return {
+        time: new Date(Number(row.unix_time) * 1000).toISOString(),
+        requests,
+        clientErrors: Number(row.client_errors),
+        serverErrors: Number(row.server_errors),
+        clientErrorRate: Number(row.client_errors) / requests,
+        serverErrorRate: Number(row.server_errors) / requests
+      };
+    });
+  }
+
+  async getBandwidth(projectId, { from, to, interval = 'hour' }) {
+    const rows = await this.queryExternalTable(`
+      SELECT
+        toUnixTimestamp(${TRAFFIC_INTERVALS[interval]}(timestamp)) AS unix_time,
+        sum(bytes) AS bytes,
+        count() AS requests
+      FROM site_requests
+      WHERE project_uri = {project_id: String}
+        AND timestamp >= fromUnixTimestamp64Milli({from_ms: Int64})
+        AND timestamp < fromUnixTimestamp64Milli({to_ms: Int64})
+      GROUP BY unix_time
+      ORDER BY unix_time ASC
+    `, {
+      project_id: projectId,
+      from_ms: from.getTime(),
+      to_ms: to.getTime()
+    });
+
+    return rows.map(row => ({
+      time: new Date(Number(row.unix_time) * 1000).toISOString(),
+      bytes: Number(row.bytes),
+      requests: Number(row.requests)
+    }));
+  }
+
+  async disconnect() {
+    try {
+      await this.client.close();
+      logger.info('ClickHouse connection closed');
+    } catch (error) {
+      logger.error('Error disconnecting from ClickHouse:', error);
+    }
+  }
+}
+
+module.exports = new ClickHouseService();
+module.exports.TRAFFIC_INTERVALS = TRAFFIC_INTERVALS;
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const clickhouseService = require('./clickhouseService');
+const projectService = require('./projectService');
+const s3Service = require('./s3Service');
+const purgeService = require('./purgeService');
+const buildLauncher = require('./buildLauncher');
+const BuildQueue = require('../utils/buildQueue');
+const HttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+const DEPLOYMENT_STATUS = {
+  QUEUED: 'QUEUED',
+  BUILDING: 'BUILDING',
+  READY: 'READY',
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED'
+};
+
+const FINAL_STATUSES = [
+  DEPLOYMENT_STATUS.READY,
+  DEPLOYMENT_STATUS.FAILED,
+  DEPLOYMENT_STATUS.CANCELLED
+];
+
+const COMMIT_SHA_PATTERN = /^[0-9a-f]{7,40}$/i;
+const PREVIEW_ALIAS_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// build_metrics statuses as the API reports them; CACHED builds reused
+// an identical earlier build's output and are as good as any other
+const BUILD_RESULT_STATUS = {
+  SUCCESS: DEPLOYMENT_STATUS.READY,
+  CACHED: DEPLOYMENT_STATUS.READY,
+  FAILED: DEPLOYMENT_STATUS.FAILED,
+  CANCELLED: DEPLOYMENT_STATUS.CANCELLED
+};
+
+// The queue lives in this process: builds queued on one API instance are
+// neither seen nor started by another
+class DeploymentService {
+  constructor() {
+    this.queue = new BuildQueue(config.builds);
+    // Running builds by deployment id: { deployment, child, cancelled, killTimer }
+    this.builds = new Map();
+  }
+
+  // `commit` ({ sha, message, branch }) pins the build; without it the
+  // build uses whatever the repository's default branch points at. With a
+  // `previewAlias` the build goes live at <alias>--<project> only; `force`
+  // builds even when an identical earlier build could be reused.
+  async createDeployment(projectId, {
+    onEvent = () => {},
+    commit = {},
+    previewAlias = null,
+    force = false
+  } = {}) {
+    if (commit.sha && !COMMIT_SHA_PATTERN.test(commit.sha)) {
+      throw new HttpError(`Invalid commit SHA: ${commit.sha}`, 400);
+    }
+
+    const project = await projectService.getProject(projectId);
+    if (previewAlias && (!PREVIEW_ALIAS_PATTERN.test(previewAlias) ||
+      previewAlias.length + project.id.length + 2 > 63)) {
+      throw new HttpError(`Invalid preview alias: ${previewAlias}`, 400);
+    }
+
+    const deployment = {
+      id: crypto.randomUUID(),
+      projectId: project.id,
+      status: DEPLOYMENT_STATUS.QUEUED,
+      commitSha: commit.sha || null,
+      commitMessage: commit.message || null,
+      branch: commit.branch || null,
+      previewAlias: previewAlias || null,
+      forceRebuild: Boolean(force),
+      createdAt: new Date().toISOString()
+    };
+    await clickhouseService.upsertDeployment(deployment);
+
+    // Only the newest queued build of a project's production or of one of
+    // its previews is worth running
+    const superseded = this.queue.enqueue({
+      id: deployment.id,
+      projectId: project.id,
+      key: previewAlias ? `${project.id}--${previewAlias}` : project.id,
+      deployment,
+      run: () => this.runBuild(project, deployment, onEvent)
+    });
+    for (const job of superseded) {
+      await this.updateStatus(
+        job.deployment,
+        DEPLOYMENT_STATUS.CANCELLED,
+        `Superseded by deployment ${deployment.id}`
+      );
+    }
+
+    return deployment;
+  }
+
+  // Resolves once the build has exited and its status is recorded
+  async runBuild(project, deployment, onEvent) {
+    let resolveExit;
+    const exited = new Promise((resolve) => { resolveExit = resolve; });
+
+    let child;
+    try {
+      child = await buildLauncher.launch(project, deployment, { onEvent, onExit: resolveExit });
+    } catch (error) {
+      await this.updateStatus(deployment, DEPLOYMENT_STATUS.FAILED, `Failed to start build: ${error.message}`);
+      return;
+    }
+
+    const build = { deployment, child, cancelled: false, killTimer: null };
+    this.builds.set(deployment.id, build);
+
+    try {
+      await this.updateStatus(deployment, DEPLOYMENT_STATUS.BUILDING);
+      await this.finishBuild(deployment, await exited, build.cancelled);
+    } finally {
+      clearTimeout(build.killTimer);
+      this.builds.delete(deployment.id);
+    }
+  }
+
+  // What the process exit says; build_metrics has the final word when the
+  // build server got as far as recording it
+  async finishBuild(deployment, { code, signal, stderr }, cancelled) {
+    if (cancelled) {
+      await this.updateStatus(deployment, DEPLOYMENT_STATUS.CANCELLED, 'Cancelled while building');
+      return;
+    }
+
+    if (code === 0) {
+      await this.updateStatus(deployment, DEPLOYMENT_STATUS.READY);
+      // The build has moved the production or preview pointer
+      await purgeService.purgeProject(deployment.projectId);
+      return;
+    }
+
+    const reason = signal ? `was killed by ${signal}` : `exited with code ${code}`;
+    const lastError = stderr.split('\n').filter(Boolean).pop();
+    await this.updateStatus(
+      deployment,
+      DEPLOYMENT_STATUS.FAILED,
+      `Build process ${reason}${lastError ? `: ${lastError}` : ''}`
+    );
+  }
+
+  async cancelDeployment(deploymentId) {
+    const deployment = await this.getDeployment(deploymentId);
+    if (FINAL_STATUSES.includes(deployment.status)) {
+      throw new HttpError(`Deployment ${deploymentId} is already ${deployment.status}`, 409);
+    }
+
+    const build = this.builds.get(deploymentId);
+    if (build) {
+      // The build server stops its step, skips the upload and records
+      // CANCELLED itself; it is killed if it takes too long
+      build.cancelled = true;
+      buildLauncher.stop(build.child, deploymentId, 'SIGTERM');
+      clearTimeout(build.killTimer);
+      build.killTimer = setTimeout(
+        () => buildLauncher.stop(build.child, deploymentId, 'SIGKILL'),
+        config.builds.cancelGracePeriodMs
+      );
+      return deployment;
+    }
+
+    if (deployment.status === DEPLOYMENT_STATUS.BUILDING) {
+      throw new HttpError(`Deployment ${deploymentId} is not building on this server`, 409);
+    }
+
+    // Queued here, or queued on an instance that has since gone away
+    this.queue.remove(deploymentId);
+    await this.updateStatus(deployment, DEPLOYMENT_STATUS.CANCELLED, 'Cancelled before it started');
+    return { ...deployment, status: DEPLOYMENT_STATUS.CANCELLED };
+  }
+
+  // Cancels whatever is queued or building for a preview that is going away
+  async cancelPreviewBuilds(projectId, previewAlias) {
+    const key = `${projectId}--${previewAlias}`;
+    for (const job of this.queue.pending.filter(pending => pending.key === key)) {
+      this.queue.remove(job.id);
+      await this.updateStatus(job.deployment, DEPLOYMENT_STATUS.CANCELLED, `Preview ${previewAlias} was removed`);
+    }
+
+    for (const [deploymentId, build] of this.builds) {
+      if (build.deployment.projectId === projectId && build.deployment.previewAlias === previewAlias) {
+        await this.cancelDeployment(deploymentId);
+      }
+    }
+  }
+
+  // Serves a finished deployment, preview or not, as the project's
+  // production site
+  async promoteDeployment(deploymentId) {
+    const deployment = await this.getDeployment(deploymentId);
+    if (deployment.status !== DEPLOYMENT_STATUS.READY) {
+      throw new HttpError(`Deployment ${deploymentId} is ${deployment.status}, not ${DEPLOYMENT_STATUS.READY}`, 409);
+    }
+
+    // The manifest is written last, so without it the files may be partial
+    // or already garbage-collected with their preview
+    const manifest = await s3Service.getJson(s3Service.getManifestKey(deployment.projectId, deploymentId));
+    if (!manifest) {
+      throw new HttpError(`Deployment ${deploymentId} has no uploaded output to promote`, 409);
+    }
+
+    // Recorded first, so removing its preview never deletes what production serves
+    const promoted = { ...deployment, promotedAt: deployment.promotedAt || new Date().toISOString() };
+    await clickhouseService.upsertDeployment(promoted);
+
+    const pointer = await s3Service.setCurrentDeployment(deployment.projectId, deploymentId);
+    await purgeService.purgeProject(deployment.projectId);
+    logger.info(`Deployment ${deploymentId} promoted to production of ${deployment.projectId}`);
+    return { ...promoted, production: pointer };
+  }
+
+  async updateStatus(deployment, status, errorMessage = '') {
+    await clickhouseService.upsertDeployment({ ...deployment, status, errorMessage });
+    logger.info(`Deployment ${deployment.id} is ${status}`);
+  }
+
+  async getDeployment(deploymentId) {
+    const deployment = await clickhouseService.getDeployment(deploymentId);
+    if (!deployment) {
+      throw new HttpError(`Deployment ${deploymentId} not found`, 404);
+    }
+
+    const result = await clickhouseService.getBuildResult(deploymentId);
+    if (!result) return deployment;
+
+    return {
+      ...deployment,
+      status: BUILD_RESULT_STATUS[result.status] || result.status,
+      cached: result.status === 'CACHED',
+      errorMessage: result.errorMessage,
+      finishedAt: result.finishedAt
+    };
+  }
+}
+
+module.exports = new DeploymentService();
+module.exports.DEPLOYMENT_STATUS = DEPLOYMENT_STATUS;
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Kafka } = require('kafkajs');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+class KafkaService {
+  constructor() {
+    this.kafka = null;
+    this.consumer = null;
+  }
+
+  async createClient() {
+    if (!config.kafka.broker) {
+      throw new Error('Kafka broker not configured');
+    }
+
+    // Without a custom CA the system trust store is used
+    const ssl = fs.existsSync(config.kafka.caPath)
+      ? {
+        ca: [await fs.promises.readFile(config.kafka.caPath, 'utf-8')],
+        rejectUnauthorized: true
+      }
+      : true;
+
+    return new Kafka({
+      clientId: config.kafka.clientId,
+      brokers: [config.kafka.broker],
+      ssl,
+      sasl: config.kafka.sasl.username
+        ? {
+          username: config.kafka.sasl.username,
+          password: config.kafka.sasl.password,
+          mechanism: config.kafka.sasl.mechanism
+        }
+        : undefined
+    });
+  }
+
+  // Every API instance has to see every event, so each one consumes in a
+  // group of its own, starting from the latest offset
+  async subscribe(topics, onEvent) {
+    try {
+      this.kafka = await this.createClient();
+      this.consumer = this.kafka.consumer({
+        groupId: `${config.kafka.groupId}-${crypto.randomUUID()}`
+      });
+      await this.consumer.connect();
+      await this.consumer.subscribe({ topics, fromBeginning: false });
+    } catch (error) {
+      this.consumer = null;
+      logger.error('Failed to connect to Kafka:', error);
+      throw error;
+    }
+
+    await this.consumer.run({
+      eachMessage: async ({ topic, message }) => {
+        let event;
+        try {
+          event = JSON.parse(message.value.toString());
+        } catch (error) {
+          logger.warn(`Skipping malformed message on ${topic}`);
+          return;
+        }
+        onEvent(event);
+      }
+    });
+  }
+
+  async disconnect() {
+    if (this.consumer) {
+      await this.consumer.disconnect();
+      this.consumer = null;
+    }
+  }
+}
+
+module.exports = new KafkaService();
@@ -0,0 +1,108 @@
+const config = require('../config/config');
+const clickhouseService = require('./clickhouseService');
+const HttpError = require('../utils/httpError');
+
+const BUILD_FINISHED_EVENTS = {
+  'build.succeeded': 'SUCCESS',
+  'build.failed': 'FAILED',
+  'build.cancelled': 'CANCELLED'
+};
+
+class LogService {
+  // Cursors are the sequence number of the last line a client has seen;
+  // no cursor means start from the first line
+  parseCursor(value) {
+    if (value === undefined || value === '') return -1;
+    if (!/^\d+$/.test(value)) {
+      throw new HttpError(`Invalid cursor: ${value}`, 400);
+    }
+    return Number(value);
+  }
+
+  parseLimit(value) {
+    if (value === undefined || value === '') return config.logs.pageSize;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new HttpError(`Invalid limit: ${value}`, 400);
+    }
+    return Math.min(limit, config.logs.maxPageSize);
+  }
+
+  async getPage(deploymentId, { cursor, limit }) {
+    const afterSequence = this.parseCursor(cursor);
+    const pageSize = this.parseLimit(limit);
+    const lines = await clickhouseService.getBuildLogs(deploymentId, {
+      afterSequence,
+      limit: pageSize
+    });
+
+    const lastSequence = lines.length > 0 ? lines[lines.length - 1].sequence : afterSequence;
+    return {
+      deploymentId,
+      lines,
+      // Always returned so a client can resume from where it stopped
+      nextCursor: lastSequence >= 0 ? String(lastSequence) : null,
+      hasMore: lines.length === pageSize
+    };
+  }
+
+  // Hands every stored line after `afterSequence` to onLine, page by page,
+  // and returns the last sequence delivered
+  async replay(deploymentId, afterSequence, onLine) {
+    let lastSequence = afterSequence;
+
+    for (;;) {
+      const lines = await clickhouseService.getBuildLogs(deploymentId, {
+        afterSequence: lastSequence,
+        limit: config.logs.maxPageSize
+      });
+      for (const line of lines) {
+        onLine(line);
+        lastSequence = line.sequence;
+      }
+      if (lines.length < config.logs.maxPageSize) return lastSequence;
+    }
+  }
+
+  // Build events and log lines travel on separate topics, so a build can be
+  // reported finished before its last lines are stored. Replays until
+  // `finalSequence` has been delivered or the wait runs out.
+  async replayUntil(deploymentId, afterSequence, finalSequence, onLine) {
+    let lastSequence = await this.replay(deploymentId, afterSequence, onLine);
+
+    for (let attempt = 1; attempt < config.logs.finalReplayAttempts && lastSequence < finalSequence; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, config.logs.finalReplayIntervalMs));
+      lastSequence = await this.replay(deploymentId, lastSequence, onLine);
+    }
+    return lastSequence;
+  }
+
+  async assertDeployment(deploymentId) {
+    if (!await clickhouseService.getDeployment(deploymentId)) {
+      throw new HttpError(`Deployment ${deploymentId} not found`, 404);
+    }
+  }
+
+  async getBuildResult(deploymentId) {
+    return clickhouseService.getBuildResult(deploymentId);
+  }
+
+  // A log.line event from the bus in the shape the history endpoint returns
+  toLine(event) {
+    if (event.type !== 'log.line') return null;
+    return {
+      sequence: event.data.sequence,
+      stream: event.data.stream,
+      level: event.data.level,
+      line: event.data.line,
+      timestamp: event.timestamp
+    };
+  }
+
+  // SUCCESS, FAILED or CANCELLED for the event that ends a build
+  getFinishedStatus(event) {
+    return BUILD_FINISHED_EVENTS[event.type] || null;
+  }
+}
+
+module.exports = new LogService();
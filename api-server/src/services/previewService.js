@@ -0,0 +1,45 @@
+const clickhouseService = require('./clickhouseService');
+const deploymentService = require('./deploymentService');
+const s3Service = require('./s3Service');
+const purgeService = require('./purgeService');
+const logger = require('../utils/logger');
+
+class PreviewService {
+  // Takes a preview offline and deletes the output of every deployment
+  // built for it, except those that were ever promoted or that a pointer
+  // still references, like production's previous deployment
+  async removePreview(projectId, previewAlias) {
+    await deploymentService.cancelPreviewBuilds(projectId, previewAlias);
+    await s3Service.deleteObject(s3Service.getPreviewDeploymentKey(projectId, previewAlias));
+    await purgeService.purgeProject(projectId);
+
+    const referenced = await this.getReferencedDeploymentIds(projectId);
+    const deployments = await clickhouseService.listPreviewDeployments(projectId, previewAlias);
+
+    let deletedObjects = 0;
+    const removedDeployments = [];
+    for (const { id: deploymentId, promoted } of deployments) {
+      if (promoted || referenced.has(deploymentId)) continue;
+
+      deletedObjects += await s3Service.deletePrefix(`${s3Service.getDeploymentPrefix(projectId, deploymentId)}/`);
+      await s3Service.deleteObject(s3Service.getManifestKey(projectId, deploymentId));
+      removedDeployments.push(deploymentId);
+    }
+
+    logger.info(`Removed preview ${previewAlias} of ${projectId}: ${removedDeployments.length} deployments, ${deletedObjects} objects`);
+    return { projectId, previewAlias, removedDeployments, deletedObjects };
+  }
+
+  // Deployments the production and preview pointers serve or roll back to
+  async getReferencedDeploymentIds(projectId) {
+    const production = await s3Service.getCurrentDeployment(projectId);
+    const previews = await s3Service.listPreviewPointers(projectId);
+
+    return new Set([production, ...previews]
+      .filter(Boolean)
+      .flatMap(pointer => [pointer.deploymentId, pointer.previousDeploymentId])
+      .filter(Boolean));
+  }
+}
+
+module.exports = new PreviewService();
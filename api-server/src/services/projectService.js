@@ -0,0 +1,98 @@
+const Ajv = require('ajv');
+const clickhouseService = require('./clickhouseService');
+const HttpError = require('../utils/httpError');
+const { normalizeRepositoryUrl } = require('../utils/gitWebhook');
+
+const DEFAULT_PRODUCTION_BRANCH = 'main';
+
+// The project id doubles as its subdomain, so it has to be a DNS label;
+// '--' is reserved to separate preview aliases from it
+const projectSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['id', 'repositoryUrl'],
+  properties: {
+    id: { type: 'string', maxLength: 63, pattern: '^[a-z0-9]+(-[a-z0-9]+)*$' },
+    repositoryUrl: { type: 'string', pattern: '^(https?://|git@|ssh://)\\S+$' },
+    installCommand: { type: 'string', minLength: 1 },
+    buildCommand: { type: 'string', minLength: 1 },
+    rootDirectory: { type: 'string', minLength: 1 },
+    outputDirectory: { type: 'string', minLength: 1 },
+    // Pushes to this branch deploy to production
+    productionBranch: { type: 'string', minLength: 1 },
+    env: {
+      type: 'object',
+      propertyNames: { pattern: '^[A-Za-z_][A-Za-z0-9_]*$' },
+      additionalProperties: { type: 'string' }
+    },
+    // Names of env values the build logs always mask; values that look
+    // like credentials are masked anyway
+    secretEnv: {
+      type: 'array',
+      uniqueItems: true,
+      items: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$' }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateProject = ajv.compile(projectSchema);
+
+const formatErrors = (errors) => errors
+  .map(error => `${error.instancePath || '/'} ${error.message}`)
+  .join('; ');
+
+class ProjectService {
+  async createProject(body) {
+    if (!validateProject(body)) {
+      throw new HttpError(
+        `Invalid project: ${formatErrors(validateProject.errors)}`,
+        400,
+        { errors: validateProject.errors }
+      );
+    }
+
+    const { id, repositoryUrl, ...settings } = body;
+    if (await clickhouseService.getProject(id)) {
+      throw new HttpError(`Project ${id} already exists`, 409);
+    }
+
+    await clickhouseService.insertProject({ id, repositoryUrl, settings });
+    return clickhouseService.getProject(id);
+  }
+
+  async getProject(projectId) {
+    const project = await clickhouseService.getProject(projectId);
+    if (!project) {
+      throw new HttpError(`Project ${projectId} not found`, 404);
+    }
+    return project;
+  }
+
+  // Projects built from the repository a webhook is about; any of the
+  // URLs it was reported under may match the one a project registered
+  async findProjectsByRepository(repositoryUrls) {
+    const keys = new Set(repositoryUrls.filter(Boolean).map(normalizeRepositoryUrl));
+    const projects = await clickhouseService.listProjects();
+    return projects.filter(project => keys.has(normalizeRepositoryUrl(project.repositoryUrl)));
+  }
+
+  getProductionBranch(project) {
+    return project.settings.productionBranch || DEFAULT_PRODUCTION_BRANCH;
+  }
+
+  // Environment values are build secrets; only their names leave the API
+  toResponse(project) {
+    const { env, ...settings } = project.settings;
+    return {
+      id: project.id,
+      repositoryUrl: project.repositoryUrl,
+      ...settings,
+      productionBranch: this.getProductionBranch(project),
+      envKeys: Object.keys(env || {}),
+      createdAt: project.createdAt
+    };
+  }
+}
+
+module.exports = new ProjectService();
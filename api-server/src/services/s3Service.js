@@ -0,0 +1,148 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const config = require('../config/config');
+
+// Same layout the build server writes
+const CURRENT_DEPLOYMENT_KEY = 'current.json';
+const PREVIEWS_PREFIX = 'previews';
+// Read by the reverse proxy with signed requests. Access policies live here
+// and protect files in the same bucket, so it must not be publicly readable.
+const CONFIG_PREFIX = '__config';
+
+class S3Service {
+  constructor() {
+    this.client = new S3Client({
+      region: config.aws.region,
+      credentials: {
+        accessKeyId: config.aws.accessKeyId,
+        secretAccessKey: config.aws.secretAccessKey
+      },
+      endpoint: config.aws.endpoint,
+      forcePathStyle: config.aws.forcePathStyle
+    });
+  }
+
+  getDeploymentPrefix(projectUri, deploymentId) {
+    return `__outputs/${projectUri}/${deploymentId}`;
+  }
+
+  getCurrentDeploymentKey(projectUri) {
+    return `__outputs/${projectUri}/${CURRENT_DEPLOYMENT_KEY}`;
+  }
+
+  getPreviewDeploymentKey(projectUri, alias) {
+    return `__outputs/${projectUri}/${PREVIEWS_PREFIX}/${alias}.json`;
+  }
+
+  getManifestKey(projectUri, deploymentId) {
+    return `__outputs/${projectUri}/${deploymentId}.manifest.json`;
+  }
+
+  getAccessPolicyKey(projectUri) {
+    return `${CONFIG_PREFIX}/access/${projectUri}.json`;
+  }
+
+  async getJson(key) {
+    try {
+      const result = await this.client.send(new GetObjectCommand({
+        Bucket: config.aws.s3BucketName,
+        Key: key
+      }));
+      return JSON.parse(await result.Body.transformToString());
+    } catch (error) {
+      if (error.name === 'NoSuchKey') return null;
+      throw error;
+    }
+  }
+
+  async putJson(key, value) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: config.aws.s3BucketName,
+      Key: key,
+      Body: JSON.stringify(value),
+      ContentType: 'application/json',
+      CacheControl: 'no-cache'
+    }));
+  }
+
+  async deleteObject(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: config.aws.s3BucketName,
+      Key: key
+    }));
+  }
+
+  // Deletes every object under the prefix and returns how many there were
+  async deletePrefix(prefix) {
+    let deleted = 0;
+    let continuationToken;
+
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: config.aws.s3BucketName,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      const objects = (page.Contents || []).map(({ Key }) => ({ Key }));
+      if (objects.length > 0) {
+        await this.client.send(new DeleteObjectsCommand({
+          Bucket: config.aws.s3BucketName,
+          Delete: { Objects: objects, Quiet: true }
+        }));
+        deleted += objects.length;
+      }
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return deleted;
+  }
+
+  // Every preview pointer of the project
+  async listPreviewPointers(projectUri) {
+    const prefix = `__outputs/${projectUri}/${PREVIEWS_PREFIX}/`;
+    const keys = [];
+    let continuationToken;
+
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: config.aws.s3BucketName,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      keys.push(...(page.Contents || []).map(({ Key }) => Key));
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    const pointers = await Promise.all(keys.map(key => this.getJson(key)));
+    return pointers.filter(Boolean);
+  }
+
+  async getCurrentDeployment(projectUri) {
+    return this.getJson(this.getCurrentDeploymentKey(projectUri));
+  }
+
+  // Same pointer the build server writes when it activates a deployment
+  async setCurrentDeployment(projectUri, deploymentId) {
+    const current = await this.getCurrentDeployment(projectUri);
+    const pointer = {
+      projectUri,
+      deploymentId,
+      previousDeploymentId: current ? current.deploymentId : null,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.putJson(this.getCurrentDeploymentKey(projectUri), pointer);
+    return pointer;
+  }
+}
+
+module.exports = new S3Service();
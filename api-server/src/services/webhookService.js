@@ -0,0 +1,136 @@
+const config = require('../config/config');
+const projectService = require('./projectService');
+const deploymentService = require('./deploymentService');
+const previewService = require('./previewService');
+const HttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const {
+  verifyGithubSignature,
+  verifyGitlabToken,
+  parseGithubEvent,
+  parseGitlabEvent
+} = require('../utils/gitWebhook');
+const { getBranchAlias, getPullRequestAlias } = require('../utils/previewAlias');
+
+const PROVIDERS = {
+  github: {
+    eventHeader: 'x-github-event',
+    verify: (secret, req) => verifyGithubSignature(secret, req.rawBody, req.get('x-hub-signature-256')),
+    parse: parseGithubEvent
+  },
+  gitlab: {
+    eventHeader: 'x-gitlab-event',
+    verify: (secret, req) => verifyGitlabToken(secret, req.get('x-gitlab-token')),
+    parse: parseGitlabEvent
+  }
+};
+
+class WebhookService {
+  // Returns what the delivery led to: { deployments } for started builds,
+  // { previews } for removed previews, { ignored } with the reason otherwise
+  async handle(providerName, req, { onEvent }) {
+    const provider = PROVIDERS[providerName];
+    if (!provider) {
+      throw new HttpError(`Unknown webhook provider: ${providerName}`, 404);
+    }
+    if (!config.webhooks.secret) {
+      throw new HttpError('Webhooks are not configured', 503);
+    }
+    if (!req.rawBody || !provider.verify(config.webhooks.secret, req)) {
+      throw new HttpError('Invalid webhook signature', 401);
+    }
+
+    const eventName = req.get(provider.eventHeader);
+    const event = provider.parse(eventName, req.body || {});
+    if (!event) return { ignored: `Unsupported event: ${eventName}` };
+    if (event.type === 'ping') return { ignored: 'Ping received' };
+
+    const projects = await projectService.findProjectsByRepository(event.repositoryUrls);
+    if (projects.length === 0) {
+      return { ignored: 'No project is linked to this repository' };
+    }
+
+    if (event.type === 'pull_request') {
+      return this.handlePullRequest(event, projects, onEvent);
+    }
+    return this.handlePush(event, projects, onEvent);
+  }
+
+  // The production branch deploys to production; any other branch gets a
+  // preview, which goes away with the branch
+  async handlePush(event, projects, onEvent) {
+    if (event.deleted) {
+      const previews = [];
+      for (const project of projects) {
+        const alias = getBranchAlias(project.id, event.branch);
+        if (!alias || projectService.getProductionBranch(project) === event.branch) continue;
+        previews.push(await previewService.removePreview(project.id, alias));
+      }
+      return previews.length > 0
+        ? { previews }
+        : { ignored: `Branch ${event.branch} was deleted` };
+    }
+
+    const deployments = [];
+    for (const project of projects) {
+      const isProduction = projectService.getProductionBranch(project) === event.branch;
+      const previewAlias = isProduction ? null : getBranchAlias(project.id, event.branch);
+      if (!isProduction && !previewAlias) continue;
+
+      const deployment = await deploymentService.createDeployment(project.id, {
+        onEvent,
+        commit: { sha: event.sha, message: event.message, branch: event.branch },
+        previewAlias
+      });
+      logger.info(`Push of ${event.sha} to ${event.branch} queued deployment ${deployment.id} of ${project.id}`);
+      deployments.push(deployment);
+    }
+
+    if (deployments.length === 0) {
+      return { ignored: `No project can deploy branch ${event.branch}` };
+    }
+    return { deployments };
+  }
+
+  // Pull requests get a pr-<number> preview of their head commit, removed
+  // once the pull request is closed. Builds get the project's environment,
+  // so pull requests from forks are only deployed by hand after review.
+  async handlePullRequest(event, projects, onEvent) {
+    const { number, action, fromFork } = event.pullRequest;
+    if (!action) return { ignored: 'Pull request action does not change its preview' };
+
+    if (action === 'closed') {
+      const previews = [];
+      for (const project of projects) {
+        const alias = getPullRequestAlias(project.id, number);
+        if (alias) previews.push(await previewService.removePreview(project.id, alias));
+      }
+      return { previews };
+    }
+
+    if (fromFork) {
+      return { ignored: `Pull request #${number} comes from a fork and is not deployed automatically` };
+    }
+
+    const deployments = [];
+    for (const project of projects) {
+      const previewAlias = getPullRequestAlias(project.id, number);
+      if (!previewAlias) continue;
+
+      const deployment = await deploymentService.createDeployment(project.id, {
+        onEvent,
+        commit: { sha: event.sha, message: event.message, branch: event.branch },
+        previewAlias
+      });
+      logger.info(`Pull request #${number} at ${event.sha} queued deployment ${deployment.id} of ${project.id}`);
+      deployments.push(deployment);
+    }
+
+    if (deployments.length === 0) {
+      return { ignored: `No room for a pull request preview of #${number}` };
+    }
+    return { deployments };
+  }
+}
+
+module.exports = new WebhookService();
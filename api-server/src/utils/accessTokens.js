@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// The reverse proxy checks what these produce; both sides must agree on
+// the formats below
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+// scrypt$N$r$p$salt$hash, base64url
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, SCRYPT_PARAMS, (error, key) => (
+      error ? reject(error) : resolve(key)
+    ));
+  });
+
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ['scrypt', N, r, p, salt.toString('base64url'), hash.toString('base64url')].join('$');
+};
+
+// <expiresAt>.<signature>; signing the password hash in means a new
+// password revokes every link and session handed out for the old one
+const signAccessToken = (secret, { purpose, projectUri, passwordHash, expiresAt }) => {
+  const signature = crypto.createHmac('sha256', secret)
+    .update([purpose, projectUri, expiresAt, passwordHash].join('\n'))
+    .digest('base64url');
+  return `${expiresAt}.${signature}`;
+};
+
+module.exports = {
+  hashPassword,
+  signAccessToken
+};
@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+// Hashed first so the comparison takes the same time whatever the length
+const digest = value => crypto.createHash('sha256').update(value).digest();
+
+// Every management route takes `Authorization: Bearer <API_TOKEN>`. Without
+// a configured token the API refuses everything rather than running open.
+const requireApiToken = (req, res, next) => {
+  const token = config.apiToken;
+  if (!token) {
+    return res.status(503).json({ error: 'API authentication is not configured' });
+  }
+
+  const header = req.get('authorization') || '';
+  if (!crypto.timingSafeEqual(digest(header), digest(`Bearer ${token}`))) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Invalid or missing API token' });
+  }
+  next();
+};
+
+module.exports = requireApiToken;
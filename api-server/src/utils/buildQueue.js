@@ -0,0 +1,60 @@
+const logger = require('./logger');
+
+// Starts jobs in arrival order with at most `maxConcurrent` running overall
+// and `maxConcurrentPerProject` per project. A job held back by its
+// project's limit does not block other projects' jobs behind it.
+class BuildQueue {
+  constructor({ maxConcurrent, maxConcurrentPerProject }) {
+    this.maxConcurrent = Math.max(1, maxConcurrent || 1);
+    this.maxConcurrentPerProject = Math.max(1, maxConcurrentPerProject || 1);
+    this.pending = [];
+    this.running = new Map();
+  }
+
+  // Queues a job ({ id, projectId, key, run }) and returns the jobs it
+  // supersedes: anything with the same key (the project when there is
+  // none) that had not started yet
+  enqueue(job) {
+    const key = job.key || job.projectId;
+    const isSameKey = pending => (pending.key || pending.projectId) === key;
+    const superseded = this.pending.filter(isSameKey);
+    this.pending = this.pending.filter(pending => !isSameKey(pending));
+    this.pending.push(job);
+    this.next();
+    return superseded;
+  }
+
+  // Takes a job out of the queue if it has not started
+  remove(id) {
+    const index = this.pending.findIndex(job => job.id === id);
+    if (index === -1) return null;
+    return this.pending.splice(index, 1)[0];
+  }
+
+  countRunning(projectId) {
+    let count = 0;
+    for (const runningProjectId of this.running.values()) {
+      if (runningProjectId === projectId) count++;
+    }
+    return count;
+  }
+
+  next() {
+    for (const job of [...this.pending]) {
+      if (this.running.size >= this.maxConcurrent) return;
+      if (this.countRunning(job.projectId) >= this.maxConcurrentPerProject) continue;
+
+      this.pending.splice(this.pending.indexOf(job), 1);
+      this.running.set(job.id, job.projectId);
+      Promise.resolve()
+        .then(job.run)
+        .catch(error => logger.error(`Build job ${job.id} failed:`, error.message))
+        .finally(() => {
+          this.running.delete(job.id);
+          this.next();
+        });
+    }
+  }
+}
+
+module.exports = BuildQueue;
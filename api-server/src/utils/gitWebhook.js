@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+// Git reports a deleted branch as a push to this commit
+const NULL_SHA = /^0+$/;
+
+const PULL_REQUEST_ACTIONS = {
+  github: {
+    opened: 'opened',
+    reopened: 'opened',
+    synchronize: 'updated',
+    closed: 'closed'
+  },
+  gitlab: {
+    open: 'opened',
+    reopen: 'opened',
+    update: 'updated',
+    close: 'closed',
+    merge: 'closed'
+  }
+};
+
+// https://github.com/Org/Repo.git, git@github.com:Org/Repo.git and
+// ssh://git@github.com:22/Org/Repo all name the same repository
+const normalizeRepositoryUrl = (url) => {
+  const match = url.trim().match(/^(?:[a-z+]+:\/\/)?(?:[^@/]+@)?([^/:]+)(?::\d+)?[/:](.+?)(?:\.git)?\/*$/i);
+  return (match ? `${match[1]}/${match[2]}` : url.trim()).toLowerCase();
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a || '');
+  const right = Buffer.from(b || '');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// GitHub signs the raw body with HMAC-SHA256 in X-Hub-Signature-256
+const verifyGithubSignature = (secret, rawBody, signature) => {
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+  return safeEqual(expected, signature);
+};
+
+// GitLab sends the shared secret itself in X-Gitlab-Token
+const verifyGitlabToken = (secret, token) => safeEqual(secret, token);
+
+const getBranch = ref => (ref || '').replace(/^refs\/heads\//, '');
+
+const firstLine = message => (message || '').split('\n')[0].trim();
+
+// Both providers' payloads reduce to:
+// { type: 'push' | 'pull_request' | 'ping', repositoryUrls, branch, sha,
+//   message, deleted, pullRequest: { number, action, title, fromFork } }
+const parseGithubEvent = (eventName, payload) => {
+  if (eventName === 'ping') return { type: 'ping' };
+
+  const repository = payload.repository || {};
+  const repositoryUrls = [repository.clone_url, repository.ssh_url, repository.html_url];
+
+  if (eventName === 'push') {
+    return {
+      type: 'push',
+      repositoryUrls,
+      branch: getBranch(payload.ref),
+      sha: payload.after,
+      message: firstLine(payload.head_commit?.message),
+      deleted: Boolean(payload.deleted) || NULL_SHA.test(payload.after || '')
+    };
+  }
+
+  if (eventName === 'pull_request') {
+    const pullRequest = payload.pull_request || {};
+    return {
+      type: 'pull_request',
+      repositoryUrls,
+      branch: pullRequest.head?.ref,
+      sha: pullRequest.head?.sha,
+      message: firstLine(pullRequest.title),
+      pullRequest: {
+        number: payload.number ?? pullRequest.number,
+        action: PULL_REQUEST_ACTIONS.github[payload.action] || null,
+        title: pullRequest.title,
+        // A deleted fork leaves head.repo null
+        fromFork: !pullRequest.head?.repo ||
+          pullRequest.head.repo.full_name !== (pullRequest.base?.repo?.full_name || repository.full_name)
+      }
+    };
+  }
+
+  return null;
+};
+
+const parseGitlabEvent = (eventName, payload) => {
+  const project = payload.project || {};
+  const repositoryUrls = [project.git_http_url, project.git_ssh_url, project.web_url];
+
+  if (eventName === 'Push Hook') {
+    const sha = payload.checkout_sha || payload.after;
+    const headCommit = (payload.commits || []).find(commit => commit.id === sha);
+    return {
+      type: 'push',
+      repositoryUrls,
+      branch: getBranch(payload.ref),
+      sha,
+      message: firstLine(headCommit?.message),
+      deleted: !payload.checkout_sha || NULL_SHA.test(payload.after || '')
+    };
+  }
+
+  if (eventName === 'Merge Request Hook') {
+    const attributes = payload.object_attributes || {};
+    return {
+      type: 'pull_request',
+      repositoryUrls,
+      branch: attributes.source_branch,
+      sha: attributes.last_commit?.id,
+      message: firstLine(attributes.last_commit?.message || attributes.title),
+      pullRequest: {
+        number: attributes.iid,
+        action: PULL_REQUEST_ACTIONS.gitlab[attributes.action] || null,
+        title: attributes.title,
+        fromFork: attributes.source_project_id !== attributes.target_project_id
+      }
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  normalizeRepositoryUrl,
+  verifyGithubSignature,
+  verifyGitlabToken,
+  parseGithubEvent,
+  parseGitlabEvent
+};
@@ -0,0 +1,10 @@
+class HttpError extends Error {
+  constructor(message, status = 500, details = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,23 @@
+const { EventEmitter } = require('events');
+
+// Fans build events out to whoever is watching a deployment. The Kafka
+// consumer feeds it in production; locally anything can publish to it
+class LogBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open log stream
+    this.emitter.setMaxListeners(0);
+  }
+
+  publish(event) {
+    if (!event || !event.deploymentId) return;
+    this.emitter.emit(event.deploymentId, event);
+  }
+
+  subscribe(deploymentId, listener) {
+    this.emitter.on(deploymentId, listener);
+    return () => this.emitter.off(deploymentId, listener);
+  }
+}
+
+module.exports = LogBus;
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Preview hosts are <alias>--<project>.<domain>: the alias and the project
+// id share one 63 character DNS label and neither may contain '--'
+const MAX_LABEL_LENGTH = 63;
+const HASH_LENGTH = 6;
+
+// Branches and pull requests never share an alias: b-<branch>, pr-<number>
+const BRANCH_PREFIX = 'b-';
+const PULL_REQUEST_PREFIX = 'pr-';
+
+const slugify = value => value
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const getRoom = projectId => MAX_LABEL_LENGTH - projectId.length - 2;
+
+// A branch name that does not survive as a DNS label unchanged (case,
+// separators, length) gets a hash of the real name, so feature/a and
+// feature-a stay apart. Null when not even the hash fits.
+const getBranchAlias = (projectId, branch) => {
+  const name = String(branch || '');
+  const slug = slugify(name);
+  const room = getRoom(projectId);
+
+  const alias = `${BRANCH_PREFIX}${slug}`;
+  if (slug && slug === name && alias.length <= room) return alias;
+
+  const hash = crypto.createHash('sha256').update(name).digest('hex').slice(0, HASH_LENGTH);
+  const kept = slug.slice(0, Math.max(room - BRANCH_PREFIX.length - HASH_LENGTH - 1, 0)).replace(/-+$/, '');
+  const hashed = kept ? `${BRANCH_PREFIX}${kept}-${hash}` : `${BRANCH_PREFIX}${hash}`;
+  return hashed.length <= room ? hashed : null;
+};
+
+// Truncating a number would make it another pull request's
+const getPullRequestAlias = (projectId, number) => {
+  const alias = `${PULL_REQUEST_PREFIX}${number}`;
+  return /^\d+$/.test(String(number)) && alias.length <= getRoom(projectId) ? alias : null;
+};
+
+module.exports = {
+  getBranchAlias,
+  getPullRequestAlias
+};
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const clickhouseService = require('../src/services/clickhouseService');
+const analyticsService = require('../src/services/analyticsService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('project analytics', () => {
+  const originals = {};
+  const queries = [];
+
+  before(() => {
+    for (const method of ['getTopPaths', 'getErrorRates', 'getBandwidth']) {
+      originals[method] = clickhouseService[method];
+      clickhouseService[method] = async (projectId, options) => {
+        queries.push({ method, ...options });
+        return [];
+      };
+    }
+  });
+
+  after(async () => {
+    Object.assign(clickhouseService, originals);
+    await clickhouseService.client.close();
+  });
+
+  const range = hours => ({
+    from: new Date(Date.UTC(2026, 0, 1)).toISOString(),
+    to: new Date(Date.UTC(2026, 0, 1) + hours * HOUR_MS).toISOString()
+  });
+
+  it('picks hours for short ranges and days past a week', async () => {
+    assert.strictEqual((await analyticsService.getProjectAnalytics('site', range(48))).interval, 'hour');
+    assert.strictEqual((await analyticsService.getProjectAnalytics('site', range(8 * 24))).interval, 'day');
+  });
+
+  it('refuses intervals that are not its own, inherited names included', async () => {
+    for (const interval of ['week', 'constructor', 'toString', '__proto__', ['hour']]) {
+      await assert.rejects(
+        analyticsService.getProjectAnalytics('site', { ...range(1), interval }),
+        { name: 'HttpError', status: 400, message: /^Invalid interval/ }
+      );
+    }
+  });
+
+  it('allows minute buckets over a day at most', async () => {
+    queries.length = 0;
+    const result = await analyticsService.getProjectAnalytics('site', { ...range(24), interval: 'minute' });
+    assert.strictEqual(result.interval, 'minute');
+    assert.ok(queries.some(query => query.interval === 'minute'));
+
+    await assert.rejects(
+      analyticsService.getProjectAnalytics('site', { ...range(25), interval: 'minute' }),
+      { status: 400, message: /24 hours/ }
+    );
+  });
+
+  it('refuses backwards ranges and out of range limits', async () => {
+    const { from, to } = range(1);
+    await assert.rejects(analyticsService.getProjectAnalytics('site', { from: to, to: from }), { status: 400 });
+    await assert.rejects(analyticsService.getProjectAnalytics('site', { ...range(1), limit: '0' }), { status: 400 });
+    await assert.rejects(analyticsService.getProjectAnalytics('site', { ...range(1), limit: '101' }), { status: 400 });
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const config = require('../src/config/config');
+const clickhouseService = require('../src/services/clickhouseService');
+const ApiServer = require('../src/server');
+
+describe('API authentication', () => {
+  const originalToken = config.apiToken;
+  const originalGetDeployment = clickhouseService.getDeployment;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    clickhouseService.getDeployment = async () => null;
+
+    const apiServer = new ApiServer();
+    apiServer.setupRoutes();
+    server = http.createServer(apiServer.app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    config.apiToken = originalToken;
+    clickhouseService.getDeployment = originalGetDeployment;
+    await new Promise(resolve => server.close(resolve));
+    await clickhouseService.client.close();
+  });
+
+  beforeEach(() => {
+    config.apiToken = 'test-token';
+  });
+
+  const request = (method, path, headers = {}) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: method === 'GET' ? undefined : '{}'
+  });
+
+  it('refuses requests without the token', async () => {
+    for (const [method, path] of [
+      ['GET', '/projects/site/analytics'],
+      ['PUT', '/projects/site/access'],
+      ['DELETE', '/projects/site/access'],
+      ['POST', '/projects/site/share-links'],
+      ['GET', '/deployments/d1/logs']
+    ]) {
+      const response = await request(method, path);
+      assert.strictEqual(response.status, 401, `${method} ${path}`);
+      assert.strictEqual(response.headers.get('www-authenticate'), 'Bearer');
+    }
+  });
+
+  it('refuses to create projects or start, promote or cancel builds without the token', async () => {
+    for (const [method, path] of [
+      ['POST', '/projects'],
+      ['GET', '/projects/site'],
+      ['POST', '/projects/site/deployments'],
+      ['DELETE', '/projects/site/previews/pr-1'],
+      ['GET', '/deployments/d1'],
+      ['POST', '/deployments/d1/promote'],
+      ['POST', '/deployments/d1/cancel']
+    ]) {
+      const response = await request(method, path);
+      assert.strictEqual(response.status, 401, `${method} ${path}`);
+    }
+  });
+
+  it('refuses a wrong token', async () => {
+    const response = await request('DELETE', '/projects/site/access', { Authorization: 'Bearer test-tokens' });
+    assert.strictEqual(response.status, 401);
+  });
+
+  it('passes requests with the token on to the routes', async () => {
+    const response = await request('GET', '/deployments/d1/logs', { Authorization: 'Bearer test-token' });
+    assert.strictEqual(response.status, 404);
+    assert.match((await response.json()).error, /d1 not found/);
+  });
+
+  it('refuses everything when no token is configured', async () => {
+    config.apiToken = undefined;
+    const response = await request('GET', '/deployments/d1/logs', { Authorization: 'Bearer ' });
+    assert.strictEqual(response.status, 503);
+  });
+
+  it('leaves webhooks to their own signature check', async () => {
+    const originalSecret = config.webhooks.secret;
+    config.webhooks.secret = 'webhook-secret';
+    try {
+      const response = await request('POST', '/webhooks/github');
+      assert.strictEqual(response.status, 401);
+      assert.strictEqual((await response.json()).error, 'Invalid webhook signature');
+    } finally {
+      config.webhooks.secret = originalSecret;
+    }
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config/config');
+const buildLauncher = require('../src/services/buildLauncher');
+
+const project = { id: 'site', repositoryUrl: 'https://example.com/site.git', settings: {} };
+
+// Launches the stand-in main.sh and collects what it reports until it exits
+const runBuild = deployment => new Promise((resolve, reject) => {
+  const events = [];
+  buildLauncher.launch(project, deployment, {
+    onEvent: event => events.push(event),
+    onExit: result => resolve({ events, ...result })
+  }).catch(reject);
+});
+
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+// A killed process nobody reaps yet lingers as a zombie
+const isRunning = pid => {
+  try {
+    return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+  } catch (error) {
+    return false;
+  }
+};
+
+describe('build launcher', () => {
+  let serverDir;
+  const originalBuilds = { ...config.builds };
+
+  before(async () => {
+    serverDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'build-launcher-test-'));
+    // Stands in for the build server: its own events, another deployment's
+    // and lines that merely look like JSON
+    await fs.promises.writeFile(path.join(serverDir, 'main.sh'), [
+      'echo "{\\"type\\":\\"build.started\\",\\"deploymentId\\":\\"$DEPLOYMENT_ID\\"}"',
+      'echo \'{"type":"build.completed","deploymentId":"someone-else"}\'',
+      'echo \'{"type":"build.completed"}\'',
+      'echo \'{ not json\'',
+      'echo "{\\"type\\":\\"build.completed\\",\\"deploymentId\\":\\"$DEPLOYMENT_ID\\"}"'
+    ].join('\n'));
+    Object.assign(config.builds, { launcher: 'local', buildServerDir: serverDir });
+  });
+
+  after(async () => {
+    Object.assign(config.builds, originalBuilds);
+    await fs.promises.rm(serverDir, { recursive: true, force: true });
+  });
+
+  it('passes on only the events of the deployment it launched', async () => {
+    const { events, code } = await runBuild({ id: 'dep-1' });
+
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(events, [
+      { type: 'build.started', deploymentId: 'dep-1' },
+      { type: 'build.completed', deploymentId: 'dep-1' }
+    ]);
+  });
+
+  it('kills steps in their own process group along with the build', { timeout: 10000 }, async () => {
+    const stepPidFile = path.join(serverDir, 'step.pid');
+    // Like the build server's detached steps: a new group that would
+    // outlive the launched one
+    await fs.promises.writeFile(path.join(serverDir, 'main.sh'),
+      `setsid sleep 300 &\necho $! > ${stepPidFile}\nwait\n`);
+
+    const exited = new Promise((resolve, reject) => {
+      buildLauncher.launch(project, { id: 'dep-2' }, { onEvent: () => {}, onExit: resolve })
+        .then(child => waitFor(() => fs.existsSync(stepPidFile) && fs.readFileSync(stepPidFile, 'utf8').trim())
+          .then(() => buildLauncher.stop(child, 'dep-2', 'SIGKILL')))
+        .catch(reject);
+    });
+
+    assert.strictEqual((await exited).signal, 'SIGKILL');
+    const stepPid = Number(fs.readFileSync(stepPidFile, 'utf8'));
+    await waitFor(() => !isRunning(stepPid));
+  });
+});
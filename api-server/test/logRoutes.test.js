@@ -0,0 +1,184 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const config = require('../src/config/config');
+const clickhouseService = require('../src/services/clickhouseService');
+const createLogRoutes = require('../src/routes/logRoutes');
+const LogBus = require('../src/utils/logBus');
+
+// Stands in for ClickHouse: stored lines per deployment and build results
+const store = {
+  deployments: new Set(),
+  lines: new Map(),
+  results: new Map()
+};
+
+const storeLines = (deploymentId, sequences) => {
+  const lines = store.lines.get(deploymentId) || [];
+  for (const sequence of sequences) {
+    lines.push({ sequence, stream: 'stdout', level: 'INFO', line: `line ${sequence}`, timestamp: '2026-01-01T00:00:00.000Z' });
+  }
+  store.lines.set(deploymentId, lines.sort((a, b) => a.sequence - b.sequence));
+};
+
+const logEvent = (deploymentId, sequence) => ({
+  type: 'log.line',
+  deploymentId,
+  timestamp: '2026-01-01T00:00:00.000Z',
+  data: { sequence, stream: 'stdout', level: 'INFO', line: `line ${sequence}` }
+});
+
+const endEvent = (deploymentId, type, lastSequence) => ({
+  type,
+  deploymentId,
+  timestamp: '2026-01-01T00:00:00.000Z',
+  data: { durationMs: 10, ...(lastSequence === undefined ? {} : { lastSequence }) }
+});
+
+// Parses the SSE body into { event, id, data } records
+const parseEvents = body => body.split('\n\n')
+  .filter(block => block.trim() && !block.startsWith(':'))
+  .map((block) => {
+    const fields = Object.fromEntries(block.split('\n').map((line) => {
+      const index = line.indexOf(': ');
+      return [line.slice(0, index), line.slice(index + 2)];
+    }));
+    return { event: fields.event, id: fields.id, data: JSON.parse(fields.data) };
+  });
+
+describe('log routes', () => {
+  const originals = {};
+  const originalLogs = { ...config.logs };
+  let server;
+  let baseUrl;
+  let logBus;
+
+  before(async () => {
+    for (const method of ['getDeployment', 'getBuildLogs', 'getBuildResult']) {
+      originals[method] = clickhouseService[method];
+    }
+    clickhouseService.getDeployment = async id => (store.deployments.has(id) ? { id } : null);
+    clickhouseService.getBuildResult = async id => store.results.get(id) || null;
+    clickhouseService.getBuildLogs = async (id, { afterSequence, limit }) => (store.lines.get(id) || [])
+      .filter(line => line.sequence > afterSequence)
+      .slice(0, limit);
+
+    Object.assign(config.logs, { maxPageSize: 2, finalReplayAttempts: 20, finalReplayIntervalMs: 5 });
+
+    logBus = new LogBus();
+    const app = express();
+    app.use('/deployments', createLogRoutes(logBus));
+    app.use((error, req, res, next) => {
+      res.status(error.status || 500).json({ error: error.message });
+    });
+
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    Object.assign(clickhouseService, originals);
+    Object.assign(config.logs, originalLogs);
+    await new Promise(resolve => server.close(resolve));
+    await clickhouseService.client.close();
+  });
+
+  beforeEach(() => {
+    store.deployments = new Set(['d1']);
+    store.lines = new Map();
+    store.results = new Map();
+  });
+
+  // Resolves with the parsed events once the server ends the stream;
+  // `onOpen` runs as soon as the response headers arrive
+  const stream = (path, { headers = {}, onOpen = () => {} } = {}) => new Promise((resolve, reject) => {
+    const request = http.get(`${baseUrl}${path}`, { headers: { Accept: 'text/event-stream', ...headers } }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body, events: res.statusCode === 200 ? parseEvents(body) : [] }));
+      onOpen();
+    });
+    request.on('error', reject);
+    request.setTimeout(5000, () => request.destroy(new Error('Stream did not end')));
+  });
+
+  const sequencesOf = events => events.filter(event => event.event === 'log').map(event => event.data.sequence);
+
+  it('answers 404 for an unknown deployment', async () => {
+    const streamed = await stream('/deployments/missing/logs/stream');
+    assert.strictEqual(streamed.status, 404);
+    assert.match(JSON.parse(streamed.body).error, /missing not found/);
+
+    const response = await fetch(`${baseUrl}/deployments/missing/logs`);
+    assert.strictEqual(response.status, 404);
+  });
+
+  it('pages stored lines as JSON', async () => {
+    storeLines('d1', [0, 1, 2]);
+    const response = await fetch(`${baseUrl}/deployments/d1/logs?cursor=0&limit=1`);
+    const page = await response.json();
+    assert.deepStrictEqual(page.lines.map(line => line.sequence), [1]);
+    assert.strictEqual(page.nextCursor, '1');
+  });
+
+  it('replays a finished build and ends with its status', async () => {
+    storeLines('d1', [0, 1, 2, 3, 4]);
+    store.results.set('d1', { status: 'SUCCESS' });
+
+    const { events } = await stream('/deployments/d1/logs/stream');
+    assert.deepStrictEqual(sequencesOf(events), [0, 1, 2, 3, 4]);
+    assert.deepStrictEqual(events.at(-1), { event: 'end', id: undefined, data: { status: 'SUCCESS' } });
+  });
+
+  it('resumes after the Last-Event-ID', async () => {
+    storeLines('d1', [0, 1, 2, 3]);
+    store.results.set('d1', { status: 'FAILED' });
+
+    const { events } = await stream('/deployments/d1/logs/stream', { headers: { 'Last-Event-ID': '1' } });
+    assert.deepStrictEqual(sequencesOf(events), [2, 3]);
+  });
+
+  it('tails the bus without repeating replayed lines', async () => {
+    storeLines('d1', [0, 1]);
+
+    const { events } = await stream('/deployments/d1/logs/stream', {
+      onOpen: () => {
+        logBus.publish(logEvent('d1', 1));
+        logBus.publish(logEvent('d1', 2));
+        storeLines('d1', [2]);
+        logBus.publish(endEvent('d1', 'build.succeeded', 2));
+      }
+    });
+    assert.deepStrictEqual(sequencesOf(events), [0, 1, 2]);
+    assert.strictEqual(events.at(-1).data.status, 'SUCCESS');
+  });
+
+  it('waits for lines the end event overtook before ending', async () => {
+    const { events } = await stream('/deployments/d1/logs/stream', {
+      onOpen: () => {
+        logBus.publish(logEvent('d1', 0));
+        // The logs topic is behind: lines 1 to 3 reach ClickHouse later
+        logBus.publish(endEvent('d1', 'build.failed', 3));
+        setTimeout(() => storeLines('d1', [0, 1, 2, 3]), 30);
+      }
+    });
+    assert.deepStrictEqual(sequencesOf(events), [0, 1, 2, 3]);
+    assert.strictEqual(events.at(-1).data.status, 'FAILED');
+  });
+
+  it('keeps lines the bus delivers after the end event in order', async () => {
+    const { events } = await stream('/deployments/d1/logs/stream', {
+      onOpen: () => {
+        logBus.publish(endEvent('d1', 'build.cancelled', 2));
+        logBus.publish(logEvent('d1', 2));
+        setTimeout(() => storeLines('d1', [0, 1]), 30);
+      }
+    });
+    assert.deepStrictEqual(sequencesOf(events), [0, 1, 2]);
+    assert.strictEqual(events.filter(event => event.event === 'end').length, 1);
+    assert.strictEqual(events.at(-1).data.status, 'CANCELLED');
+  });
+});
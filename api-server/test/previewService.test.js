@@ -0,0 +1,51 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const clickhouseService = require('../src/services/clickhouseService');
+const deploymentService = require('../src/services/deploymentService');
+const s3Service = require('../src/services/s3Service');
+const purgeService = require('../src/services/purgeService');
+const previewService = require('../src/services/previewService');
+
+describe('removing a preview', () => {
+  const originals = [];
+  const deletedPrefixes = [];
+
+  const stub = (service, method, implementation) => {
+    originals.push([service, method, service[method]]);
+    service[method] = implementation;
+  };
+
+  before(() => {
+    stub(deploymentService, 'cancelPreviewBuilds', async () => {});
+    stub(purgeService, 'purgeProject', async () => {});
+    stub(s3Service, 'deleteObject', async () => {});
+    stub(s3Service, 'deletePrefix', async (prefix) => {
+      deletedPrefixes.push(prefix);
+      return 1;
+    });
+    stub(s3Service, 'getCurrentDeployment', async () => ({
+      deploymentId: 'live',
+      previousDeploymentId: 'rollback-target'
+    }));
+    stub(s3Service, 'listPreviewPointers', async () => [{ deploymentId: 'shared' }]);
+    stub(clickhouseService, 'listPreviewDeployments', async () => [
+      { id: 'stale', promoted: false },
+      { id: 'live', promoted: true },
+      { id: 'rollback-target', promoted: false },
+      { id: 'once-promoted', promoted: true },
+      { id: 'shared', promoted: false }
+    ]);
+  });
+
+  after(async () => {
+    for (const [service, method, original] of originals) service[method] = original;
+    await clickhouseService.client.close();
+  });
+
+  it('keeps deployments that were promoted or that a pointer references', async () => {
+    const result = await previewService.removePreview('site', 'feature');
+
+    assert.deepStrictEqual(result.removedDeployments, ['stale']);
+    assert.deepStrictEqual(deletedPrefixes, ['__outputs/site/stale/']);
+  });
+});
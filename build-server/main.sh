@@ -1,7 +1,19 @@
 #!/bin/bash
+set -e
 
 export GITHUB_REPO_URL="$GITHUB_REPO_URL"
+export PROJECT_SOURCE_DIR="${PROJECT_SOURCE_DIR:-/home/app/output}"
 
-git clone "$GITHUB_REPO_URL" /home/app/output
+if [ -n "$GIT_COMMIT_SHA" ]; then
+  # Build exactly the commit the deployment was created for
+  git clone --no-checkout "$GITHUB_REPO_URL" "$PROJECT_SOURCE_DIR"
+  # Pull request heads from forks are not on any branch of the repository
+  if ! git -C "$PROJECT_SOURCE_DIR" cat-file -e "$GIT_COMMIT_SHA^{commit}" 2>/dev/null; then
+    git -C "$PROJECT_SOURCE_DIR" fetch --quiet origin "$GIT_COMMIT_SHA"
+  fi
+  git -C "$PROJECT_SOURCE_DIR" checkout --quiet --detach "$GIT_COMMIT_SHA"
+else
+  git clone "$GITHUB_REPO_URL" "$PROJECT_SOURCE_DIR"
+fi
 
-exec node server.js
+exec node src/server.js
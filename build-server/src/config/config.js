@@ -1,19 +1,81 @@
 const dotenv = require('dotenv');
+const os = require('os');
 const path = require('path');
 
 // Load environment variables
 dotenv.config({ path: path.resolve(process.cwd(), '.env') });
 
+const splitList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
 const config = {
   aws: {
     region: process.env.AWS_REGION,
     accessKeyId: process.env.AWS_ACCESS_KEY_ID,
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    s3BucketName: process.env.S3_BUCKET_NAME
+    s3BucketName: process.env.S3_BUCKET_NAME,
+    // Set for S3-compatible stand-ins such as MinIO
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  },
+  upload: {
+    concurrency: parseInt(process.env.UPLOAD_CONCURRENCY || '8', 10),
+    maxRetries: parseInt(process.env.UPLOAD_MAX_RETRIES || '4', 10),
+    retryBaseDelayMs: parseInt(process.env.UPLOAD_RETRY_BASE_DELAY_MS || '200', 10),
+    multipartThresholdBytes: parseInt(process.env.UPLOAD_MULTIPART_THRESHOLD_BYTES, 10) || 16 * 1024 * 1024, // 16MB
+    partSizeBytes: parseInt(process.env.UPLOAD_PART_SIZE_BYTES, 10) || 8 * 1024 * 1024 // 8MB, S3 minimum is 5MB
+  },
+  build: {
+    timeoutMs: parseInt(process.env.BUILD_STEP_TIMEOUT_MS, 10) || 30 * 60 * 1000, // 30 minutes per step
+    // Build even when an identical earlier build could be reused
+    forceRebuild: process.env.BUILD_FORCE_REBUILD === 'true',
+    // Unprivileged user and group install and build steps run as. Required
+    // when the build server runs as root.
+    stepUid: process.env.BUILD_STEP_UID ? parseInt(process.env.BUILD_STEP_UID, 10) : null,
+    stepGid: process.env.BUILD_STEP_GID ? parseInt(process.env.BUILD_STEP_GID, 10) : null,
+    // Host variables passed through to install/build steps besides PROJECT_ENVIRONMENT_*
+    envAllowlist: [
+      'PATH',
+      'HOME',
+      'USER',
+      'SHELL',
+      'LANG',
+      'LC_ALL',
+      'TZ',
+      'TMPDIR',
+      'TERM',
+      'CI',
+      ...splitList(process.env.BUILD_ENV_ALLOWLIST)
+    ]
+  },
+  cache: {
+    // Dependency caching between builds of a project
+    enabled: process.env.BUILD_CACHE_ENABLED !== 'false',
+    // Where package managers keep downloaded packages during the install
+    storeDir: process.env.BUILD_CACHE_STORE_DIR || path.join(os.tmpdir(), 'package-store')
+  },
+  logs: {
+    batchSize: parseInt(process.env.LOG_BATCH_SIZE, 10) || 100,
+    flushIntervalMs: parseInt(process.env.LOG_FLUSH_INTERVAL_MS, 10) || 500,
+    highWaterMark: parseInt(process.env.LOG_HIGH_WATER_MARK, 10) || 5000
+  },
+  sinks: {
+    // Where build events and log lines go: kafka, clickhouse, stdout, file
+    enabled: splitList(process.env.BUILD_EVENT_SINKS || 'kafka,clickhouse'),
+    // Sinks that must connect for the build to start; others are skipped
+    required: splitList(process.env.BUILD_REQUIRED_SINKS),
+    filePath: process.env.BUILD_EVENT_FILE || path.resolve(process.cwd(), 'build-events.ndjson')
   },
   kafka: {
     clientId: process.env.KAFKA_CLIENT_ID,
     broker: process.env.KAFKA_BROKER,
+    caPath: process.env.KAFKA_CA_PATH || path.resolve(__dirname, '../../ca.pem'),
+    topics: {
+      logs: process.env.KAFKA_LOGS_TOPIC || 'build-logs',
+      events: process.env.KAFKA_EVENTS_TOPIC || 'build-events'
+    },
     sasl: {
       username: process.env.SASL_USERNAME,
       password: process.env.SASL_PASSWORD,
@@ -26,28 +88,45 @@ const config = {
     username: process.env.CLICKHOUSE_USER,
     password: process.env.CLICKHOUSE_PASSWORD
   },
+  // Reverse proxies whose caches the rollback script purges
+  proxies: {
+    purgeUrls: splitList(process.env.PROXY_PURGE_URLS),
+    purgeToken: process.env.PROXY_PURGE_TOKEN,
+    timeoutMs: parseInt(process.env.PROXY_PURGE_TIMEOUT_MS || '5000', 10)
+  },
   project: {
     uri: process.env.PROJECT_URI,
     deploymentId: process.env.DEPLOYMENT_ID,
+    // What main.sh checked out, when the deployment is pinned to a commit
+    commitSha: process.env.GIT_COMMIT_SHA,
     installCommand: process.env.PROJECT_INSTALL_COMMAND,
     buildCommand: process.env.PROJECT_BUILD_COMMAND,
-    rootDir: process.env.PROJECT_ROOT_DIR
+    rootDir: process.env.PROJECT_ROOT_DIR,
+    outputDir: process.env.PROJECT_OUTPUT_DIR,
+    // Set for branch and pull request builds, which must not replace production
+    previewAlias: process.env.PROJECT_PREVIEW_ALIAS,
+    // Project environment variables the project marked as secret
+    secretEnvKeys: splitList(process.env.PROJECT_SECRET_ENV_KEYS),
+    // Where main.sh clones the repository
+    sourceDir: process.env.PROJECT_SOURCE_DIR || path.resolve(__dirname, '../../output')
   }
 };
 
-// Validate required configuration for build server
-const validateConfig = () => {
-  const requiredFields = [
-    'aws.region',
-    'aws.accessKeyId',
-    'aws.secretAccessKey',
-    'aws.s3BucketName',
-    'project.uri',
-    'project.deploymentId',
-    'project.installCommand',
-    'project.buildCommand'
-  ];
+const AWS_REQUIRED_FIELDS = [
+  'aws.region',
+  'aws.accessKeyId',
+  'aws.secretAccessKey',
+  'aws.s3BucketName'
+];
 
+const BUILD_REQUIRED_FIELDS = [
+  ...AWS_REQUIRED_FIELDS,
+  'project.uri',
+  'project.deploymentId'
+];
+
+// Validate required configuration (defaults to what a build needs)
+const validateConfig = (requiredFields = BUILD_REQUIRED_FIELDS) => {
   for (const field of requiredFields) {
     const value = field.split('.').reduce((obj, key) => obj?.[key], config);
     if (!value) {
@@ -56,6 +135,6 @@ const validateConfig = () => {
   }
 };
 
-validateConfig();
-
-module.exports = config;
\ No newline at end of file
+module.exports = config;
+module.exports.validateConfig = validateConfig;
+module.exports.AWS_REQUIRED_FIELDS = AWS_REQUIRED_FIELDS;
\ No newline at end of file
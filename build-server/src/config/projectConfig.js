@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { BuildError, ErrorHandler } = require('../utils/errorHandler');
+const { detectProjectProfile } = require('../utils/frameworkDetector');
+
+const PROJECT_CONFIG_FILE = 'deploy-ninja.json';
+const ENV_PREFIX = 'PROJECT_ENVIRONMENT_';
+
+const projectConfigSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    $schema: { type: 'string' },
+    installCommand: { type: 'string', minLength: 1 },
+    buildCommand: { type: 'string', minLength: 1 },
+    rootDirectory: { type: 'string', minLength: 1 },
+    outputDirectory: { type: 'string', minLength: 1 },
+    nodeVersion: { type: 'string', pattern: '^\\D*\\d+' },
+    // Routing rules the reverse proxy applies; sources are paths with
+    // :param, :param* and * / ** globs
+    redirects: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['source', 'destination'],
+        properties: {
+          source: { type: 'string', pattern: '^/' },
+          destination: { type: 'string', minLength: 1 },
+          permanent: { type: 'boolean' }
+        }
+      }
+    },
+    rewrites: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['source', 'destination'],
+        properties: {
+          source: { type: 'string', pattern: '^/' },
+          // Served from this deployment, so always a path
+          destination: { type: 'string', pattern: '^/' }
+        }
+      }
+    },
+    // Serve index.html for paths with no file, for client-side routing
+    spa: { type: 'boolean' },
+    headers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['source', 'headers'],
+        properties: {
+          source: { type: 'string', pattern: '^/' },
+          headers: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['key', 'value'],
+              properties: {
+                key: { type: 'string', pattern: '^[!#$%&\'*+.^_`|~0-9A-Za-z-]+$' },
+                value: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    },
+    env: {
+      type: 'object',
+      propertyNames: { pattern: '^[A-Za-z_][A-Za-z0-9_]*$' },
+      additionalProperties: { type: 'string' }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateProjectConfig = ajv.compile(projectConfigSchema);
+
+const formatErrors = (errors) => errors
+  .map(error => `${error.instancePath || '/'} ${error.message}`)
+  .join('; ');
+
+// Read and validate deploy-ninja.json from the repository root, if present
+const loadProjectConfig = (sourceDir) => {
+  const filePath = path.join(sourceDir, PROJECT_CONFIG_FILE);
+  if (!fs.existsSync(filePath)) return null;
+
+  let projectConfig;
+  try {
+    projectConfig = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new BuildError(
+      `Invalid ${PROJECT_CONFIG_FILE}: ${error.message}`,
+      ErrorHandler.BUILD_ERROR_CODES.VALIDATION_ERROR,
+      { file: PROJECT_CONFIG_FILE }
+    );
+  }
+
+  if (!validateProjectConfig(projectConfig)) {
+    throw new BuildError(
+      `Invalid ${PROJECT_CONFIG_FILE}: ${formatErrors(validateProjectConfig.errors)}`,
+      ErrorHandler.BUILD_ERROR_CODES.VALIDATION_ERROR,
+      { file: PROJECT_CONFIG_FILE, errors: validateProjectConfig.errors }
+    );
+  }
+
+  return projectConfig;
+};
+
+const isInsideRepository = (relativePath) => {
+  const normalized = path.posix.normalize(relativePath.replace(/\\/g, '/'));
+  return !path.isAbsolute(relativePath) &&
+    !/^[A-Za-z]:/.test(relativePath) &&
+    normalized !== '..' &&
+    !normalized.startsWith('../');
+};
+
+const assertInsideRepository = (field, value) => {
+  if (!isInsideRepository(value)) {
+    throw new BuildError(
+      `Invalid ${field} "${value}": must be a relative path inside the repository`,
+      ErrorHandler.BUILD_ERROR_CODES.VALIDATION_ERROR,
+      { field }
+    );
+  }
+};
+
+// Merge environment settings over deploy-ninja.json over the profile
+// detected from the project's package.json and lockfiles
+const resolveProjectSettings = (projectConfig, projectEnv, sourceDir) => {
+  const fileConfig = projectConfig || {};
+
+  const rootDirectory = projectEnv.rootDir || fileConfig.rootDirectory || '.';
+  assertInsideRepository('rootDirectory', rootDirectory);
+
+  const profile = detectProjectProfile(path.join(sourceDir, rootDirectory));
+
+  const env = {};
+  for (const [key, value] of Object.entries(fileConfig.env || {})) {
+    env[key.startsWith(ENV_PREFIX) ? key : `${ENV_PREFIX}${key}`] = value;
+  }
+
+  const settings = {
+    installCommand: projectEnv.installCommand || fileConfig.installCommand || profile.installCommand,
+    buildCommand: projectEnv.buildCommand || fileConfig.buildCommand || profile.buildCommand,
+    rootDirectory,
+    outputDirectory: projectEnv.outputDir || fileConfig.outputDirectory || profile.outputDirectory,
+    nodeVersion: fileConfig.nodeVersion || null,
+    redirects: fileConfig.redirects || [],
+    rewrites: fileConfig.rewrites || [],
+    headers: fileConfig.headers || [],
+    spa: fileConfig.spa ?? profile.spa,
+    env,
+    profile
+  };
+
+  assertInsideRepository('outputDirectory', settings.outputDirectory);
+
+  // Static sites are published as-is; anything else needs a build step
+  if (!settings.buildCommand && profile.framework !== 'static') {
+    throw new BuildError(
+      `Missing buildCommand: add a "build" script to package.json, or set it in ${PROJECT_CONFIG_FILE} or the environment`,
+      ErrorHandler.BUILD_ERROR_CODES.VALIDATION_ERROR,
+      { field: 'buildCommand' }
+    );
+  }
+
+  return settings;
+};
+
+module.exports = {
+  PROJECT_CONFIG_FILE,
+  projectConfigSchema,
+  loadProjectConfig,
+  resolveProjectSettings
+};
@@ -0,0 +1,57 @@
+const config = require('../config/config');
+const s3Service = require('../services/s3Service');
+const purgeService = require('../services/purgeService');
+const { ErrorHandler, BuildError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+// Usage: npm run rollback -- <projectUri> <deploymentId>
+const rollback = async (projectUri, deploymentId) => {
+  if (!projectUri || !deploymentId) {
+    throw new BuildError(
+      'Usage: npm run rollback -- <projectUri> <deploymentId>',
+      ErrorHandler.BUILD_ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  if (deploymentId.includes('/') || deploymentId === '.' || deploymentId === '..') {
+    throw new BuildError(
+      `Invalid deployment id: ${deploymentId}`,
+      ErrorHandler.BUILD_ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  config.validateConfig(config.AWS_REQUIRED_FIELDS);
+
+  // The manifest is written last, so without it the files may be partial
+  if (!(await s3Service.getManifest(projectUri, deploymentId))) {
+    throw new BuildError(
+      `Deployment ${deploymentId} of project ${projectUri} has no complete output to roll back to`,
+      ErrorHandler.BUILD_ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  const current = await s3Service.getCurrentDeployment(projectUri);
+  if (current && current.deploymentId === deploymentId) {
+    logger.info(`Project ${projectUri} already serves deployment ${deploymentId}`);
+    return current;
+  }
+
+  const pointer = await s3Service.setCurrentDeployment(projectUri, deploymentId);
+  // Proxies otherwise keep serving the old deployment from cache
+  await purgeService.purgeProject(projectUri);
+  logger.info(`Project ${projectUri} rolled back to deployment ${deploymentId}`);
+  return pointer;
+};
+
+if (require.main === module) {
+  const [projectUri, deploymentId] = process.argv.slice(2);
+
+  rollback(projectUri, deploymentId)
+    .then(() => process.exit(0))
+    .catch((error) => {
+      ErrorHandler.handleError(error, logger);
+      process.exit(1);
+    });
+}
+
+module.exports = rollback;
@@ -1,42 +1,91 @@
-const { exec } = require('child_process');
+const { spawn } = require('child_process');
+const os = require('os');
 const path = require('path');
 const fs = require('fs');
 const config = require('./config/config');
 const s3Service = require('./services/s3Service');
-const kafkaService = require('./services/kafkaService');
-const clickhouseService = require('./services/clickhouseService');
+const eventService = require('./services/eventService');
 const { ErrorHandler, BuildError } = require('./utils/errorHandler');
 const logger = require('./utils/logger');
+const redactor = require('./utils/redactor');
+const { EVENT_TYPES } = require('./utils/buildEvents');
+const { buildManifest, diffManifests } = require('./utils/manifest');
+const UploadQueue = require('./utils/uploadQueue');
+const { compressFile, getVariantExtension } = require('./utils/compression');
+const { parseCommand, createBuildEnvironment, chownTree } = require('./utils/command');
+const { resolveCommitSha, getBuildFingerprint } = require('./utils/buildFingerprint');
+const {
+  getDependencyCacheKey,
+  getStoreEnvironment,
+  createArchive,
+  extractArchive
+} = require('./utils/dependencyCache');
+const {
+  PROJECT_CONFIG_FILE,
+  loadProjectConfig,
+  resolveProjectSettings
+} = require('./config/projectConfig');
+
+const isWithin = (root, target) => {
+  const relative = path.relative(root, target);
+  return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+};
+
+// Everything below dir but directories, as paths relative to it. Unlike
+// readdir's recursive mode this never descends into a linked directory.
+const listFiles = (dir, prefix = '') => fs.readdirSync(dir, { withFileTypes: true })
+  .flatMap(entry => {
+    const file = path.join(prefix, entry.name);
+    return entry.isDirectory() ? listFiles(path.join(dir, entry.name), file) : [file];
+  });
 
 class BuildServer {
   constructor() {
-    this.outputDir = path.join(__dirname, '../output');
+    this.sourceDir = config.project.sourceDir;
+    this.projectSettings = null;
+    this.logPipeline = eventService.logPipeline;
     this.isExiting = false;
+    this.isCancelled = false;
     this.buildStartTime = null;
     this.buildProcess = null;
+    // Set by computeFingerprint, and cachedFrom once output is reused
+    this.commitSha = null;
+    this.fingerprint = null;
+    this.cachedFrom = null;
+    // Set by executeBuildProcess when the install step used the cache
+    this.dependencyCache = null;
+    // { uid, gid, home } steps run as, when not the build server's own user
+    this.stepUser = null;
   }
 
   async initialize() {
     try {
-      // Validate environment variables
+      // Validate configuration and environment variables
+      config.validateConfig();
       ErrorHandler.validateEnvironment([
         'PROJECT_URI',
-        'DEPLOYMENT_ID',
-        'PROJECT_INSTALL_COMMAND',
-        'PROJECT_BUILD_COMMAND',
-        'PROJECT_ROOT_DIR'
+        'DEPLOYMENT_ID'
       ]);
 
+      // The alias becomes part of an S3 key and of the preview hostname
+      const { previewAlias } = config.project;
+      if (previewAlias && !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(previewAlias)) {
+        throw new BuildError(
+          `Invalid preview alias: ${previewAlias}`,
+          ErrorHandler.BUILD_ERROR_CODES.VALIDATION_ERROR,
+          { previewAlias }
+        );
+      }
+
       // Initialize services
       logger.info('Initializing services...');
-      await clickhouseService.initialize();
-      await kafkaService.connect();
-      
+      await eventService.initialize();
+
       this.buildStartTime = new Date();
       await this.setupCleanup();
       await this.runBuild();
     } catch (error) {
-      ErrorHandler.handleError(error, logger, kafkaService);
+      ErrorHandler.handleError(error, logger, eventService);
       await this.cleanup(error);
       process.exit(1);
     }
@@ -44,201 +93,819 @@ class BuildServer {
 
   async runBuild() {
     try {
-      // Prepare output directory
-      await this.prepareOutputDirectory();
+      // Check the cloned repository and resolve its build settings
+      await this.prepareSourceDirectory();
+      await this.loadProjectSettings();
 
       // Start build process
-      await kafkaService.publishLog('Starting build process...');
-      await clickhouseService.insertBuildLog(
-        config.project.deploymentId,
-        'Build process started'
-      );
+      await eventService.publish(EVENT_TYPES.BUILD_STARTED);
+      await eventService.publishLog('Starting build process...');
 
-      // Execute build
-      await this.executeBuildProcess();
+      // An identical earlier build's output stands in for building again
+      await this.computeFingerprint();
+      if (!await this.reuseCachedBuild()) {
+        // Execute build
+        await this.executeBuildProcess();
 
-      // Upload artifacts
-      await this.uploadArtifacts();
+        // Upload artifacts
+        await this.trackPhase('upload', () => this.uploadArtifacts());
+      }
+
+      // Only switch traffic once every artifact is in place
+      this.throwIfCancelled();
+      await this.activateDeployment();
+      await this.saveFingerprint();
+      await this.saveDependencyCache();
 
       // Record successful completion
-      await kafkaService.publishLog('Build completed successfully');
-      await clickhouseService.insertBuildLog(
-        config.project.deploymentId,
-        'Build completed successfully',
-        'INFO'
-      );
+      await eventService.publishLog('Build completed successfully');
 
       await this.cleanup();
       process.exit(0);
 
     } catch (error) {
-      const errorMessage = `Build failed: ${error.message}`;
-      await kafkaService.publishLog(errorMessage);
-      await clickhouseService.insertBuildLog(
-        config.project.deploymentId,
-        errorMessage,
-        'ERROR'
-      );
-      
-      await this.cleanup(error);
+      const buildError = this.isCancelled ? this.createCancelledError(error.details?.phase) : error;
+      if (this.isCancelled) {
+        await eventService.publishLog('Build cancelled', 'WARN');
+      } else {
+        await eventService.publishLog(`Build failed: ${error.message}`, 'ERROR');
+      }
+
+      await this.cleanup(buildError);
       process.exit(1);
     }
   }
 
-  async prepareOutputDirectory() {
+  // Stop at the next checkpoint: the running step is killed, and no later
+  // phase, upload or activation starts
+  cancel(signal) {
+    if (this.isExiting || this.isCancelled) return;
+    logger.warn(`Received ${signal}, cancelling build`);
+    this.isCancelled = true;
+    this.killBuildProcess();
+  }
+
+  createCancelledError(phase) {
+    return new BuildError(
+      'Build cancelled',
+      ErrorHandler.BUILD_ERROR_CODES.BUILD_CANCELLED,
+      phase ? { phase } : {}
+    );
+  }
+
+  throwIfCancelled(phase) {
+    if (this.isCancelled) throw this.createCancelledError(phase);
+  }
+
+  async prepareSourceDirectory() {
+    if (!fs.existsSync(this.sourceDir) || !fs.lstatSync(this.sourceDir).isDirectory()) {
+      throw new BuildError(
+        `Source directory not found: ${this.sourceDir}`,
+        ErrorHandler.BUILD_ERROR_CODES.INITIALIZATION_FAILED,
+        { sourceDir: this.sourceDir }
+      );
+    }
+    logger.info('Source directory prepared');
+  }
+
+  async loadProjectSettings() {
+    const projectConfig = loadProjectConfig(this.sourceDir);
+    this.projectSettings = resolveProjectSettings(
+      projectConfig,
+      config.project,
+      this.sourceDir
+    );
+
+    // Values handed to the build must not come back out through its logs
+    redactor.addEnvironment(this.getProjectEnvironmentVariables(), config.project.secretEnvKeys);
+
+    const {
+      rootDirectory,
+      outputDirectory,
+      nodeVersion,
+      installCommand,
+      buildCommand,
+      profile
+    } = this.projectSettings;
+    await eventService.publishLog(
+      `Using ${projectConfig ? PROJECT_CONFIG_FILE : 'environment settings'}: ` +
+      `root directory "${rootDirectory}", output directory "${outputDirectory}"`
+    );
+
+    const profileMessage =
+      `Detected project profile: framework=${profile.framework}, ` +
+      `packageManager=${profile.packageManager || 'none'}, ` +
+      `install="${installCommand || ''}", build="${buildCommand || ''}", ` +
+      `output="${outputDirectory}"`;
+    logger.info(profileMessage);
+    await eventService.publishLog(profileMessage);
+
+    // nodeVersion is only a hint; the build image decides the runtime
+    const requestedMajor = nodeVersion && nodeVersion.match(/\d+/)[0];
+    const runtimeMajor = process.versions.node.split('.')[0];
+    if (requestedMajor && requestedMajor !== runtimeMajor) {
+      const warning = `Project requests Node ${nodeVersion} but the build runs on Node ${process.versions.node}`;
+      logger.warn(warning);
+      await eventService.publishLog(`Warning: ${warning}`, 'WARN');
+    }
+  }
+
+  // Null when the commit is unknown: without it nothing can be reused
+  async computeFingerprint() {
+    const commitSha = await resolveCommitSha(this.sourceDir) || config.project.commitSha;
+    if (!commitSha) {
+      logger.info('Commit unknown, build output will not be fingerprinted');
+      return;
+    }
+
+    const { installCommand, buildCommand, rootDirectory, outputDirectory, nodeVersion } = this.projectSettings;
+    this.commitSha = commitSha;
+    this.fingerprint = getBuildFingerprint({
+      commitSha,
+      nodeVersion,
+      installCommand,
+      buildCommand,
+      rootDirectory,
+      outputDirectory,
+      env: this.getProjectEnvironmentVariables()
+    });
+  }
+
+  // Copies the output of the last successful build with the same
+  // fingerprint into this deployment. Returns false, leaving the build to
+  // run as usual, when there is none or it cannot be copied in full.
+  async reuseCachedBuild() {
+    if (!this.fingerprint) return false;
+
+    const { uri, deploymentId } = config.project;
+    if (config.build.forceRebuild) {
+      await eventService.publishLog('Rebuild forced, not reusing earlier build output');
+      return false;
+    }
+
+    let manifest = null;
     try {
-      if (fs.existsSync(this.outputDir)) {
-        fs.rmSync(this.outputDir, { recursive: true, force: true });
+      const entry = await s3Service.getJson(s3Service.getBuildFingerprintKey(uri, this.fingerprint));
+      if (entry && entry.deploymentId !== deploymentId) {
+        // Gone once its deployment has been garbage-collected
+        manifest = await s3Service.getManifest(uri, entry.deploymentId);
       }
-      fs.mkdirSync(this.outputDir, { recursive: true });
-      logger.info('Output directory prepared');
     } catch (error) {
-      throw new BuildError(
-        'Failed to prepare output directory',
-        ErrorHandler.BUILD_ERROR_CODES.INITIALIZATION_FAILED,
-        { originalError: error.message }
+      logger.warn(`Build cache lookup failed: ${error.message}`);
+    }
+    if (!manifest) return false;
+
+    let reused = false;
+    await this.trackPhase('reuse', async () => {
+      await eventService.publishLog(
+        `Commit ${this.commitSha} was already built with these settings, reusing deployment ${manifest.deploymentId}`
       );
+
+      const previousPrefix = s3Service.getDeploymentPrefix(uri, manifest.deploymentId);
+      const keyPrefix = s3Service.getDeploymentPrefix(uri, deploymentId);
+      for (const [relativePath, entry] of Object.entries(manifest.files)) {
+        this.throwIfCancelled('reuse');
+        if (!await this.reuseArtifact(previousPrefix, keyPrefix, relativePath, entry.encodings)) {
+          await eventService.publishLog('Earlier build output is incomplete, building from scratch', 'WARN');
+          return;
+        }
+      }
+
+      try {
+        await s3Service.putManifest({
+          ...manifest,
+          deploymentId,
+          createdAt: new Date().toISOString()
+        });
+      } catch (error) {
+        throw new BuildError(
+          'Failed to upload deployment manifest',
+          ErrorHandler.BUILD_ERROR_CODES.UPLOAD_FAILED,
+          { originalError: error.message }
+        );
+      }
+
+      this.cachedFrom = manifest.deploymentId;
+      reused = true;
+    });
+
+    return reused;
+  }
+
+  // Recorded only once the deployment is live, so a match always names
+  // complete output
+  async saveFingerprint() {
+    if (!this.fingerprint) return;
+
+    const { uri, deploymentId } = config.project;
+    try {
+      await s3Service.putJson(s3Service.getBuildFingerprintKey(uri, this.fingerprint), {
+        fingerprint: this.fingerprint,
+        deploymentId,
+        commitSha: this.commitSha,
+        createdAt: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.warn(`Failed to record build fingerprint: ${error.message}`);
     }
   }
 
+  getWorkingDirectory() {
+    return path.join(this.sourceDir, this.projectSettings.rootDirectory);
+  }
+
   async executeBuildProcess() {
-    return new Promise((resolve, reject) => {
-      let buildOutput = '';
-      let buildErrors = '';
+    const { installCommand, buildCommand } = this.projectSettings;
+    const steps = [
+      { phase: 'install', command: installCommand },
+      { phase: 'build', command: buildCommand }
+    ].filter(step => step.command);
+
+    // Static sites have nothing to install or build
+    if (steps.length === 0) {
+      logger.info('No build commands configured, publishing sources as-is');
+      return;
+    }
 
-      this.buildProcess = exec(
-        `cd ${this.outputDir} && ${config.project.installCommand} && ${config.project.buildCommand}`,
-        {
-          cwd: config.project.rootDir,
-          env: {
-            ...process.env,
-            ...this.getProjectEnvironmentVariables()
-          },
-          maxBuffer: 10 * 1024 * 1024 // 10MB buffer
+    // Dependencies come from the cache when they can and go back into it
+    // once the deployment is live
+    const cache = installCommand ? await this.restoreDependencyCache() : null;
+    this.dependencyCache = cache;
+    this.stepUser = await this.prepareStepUser();
+
+    for (const { phase, command } of steps) {
+      await this.runStep(phase, command, phase === 'install' ? cache : null);
+    }
+  }
+
+  // Steps run as their own unprivileged user, owning the checkout and the
+  // package store. As the build server's user they could read its
+  // environment, credentials included, from /proc/<pid>/environ.
+  async prepareStepUser() {
+    const { stepUid, stepGid } = config.build;
+    if (stepUid === null) {
+      if (process.getuid && process.getuid() === 0) {
+        throw new BuildError(
+          'Refusing to run build steps as root; set BUILD_STEP_UID and BUILD_STEP_GID',
+          ErrorHandler.BUILD_ERROR_CODES.VALIDATION_ERROR
+        );
+      }
+      logger.warn('BUILD_STEP_UID is not set, build steps run as the build server\'s own user');
+      return null;
+    }
+
+    const user = {
+      uid: stepUid,
+      gid: stepGid === null ? stepUid : stepGid,
+      home: path.join(os.tmpdir(), `build-home-${config.project.deploymentId}`)
+    };
+    await fs.promises.mkdir(user.home, { recursive: true });
+    await fs.promises.mkdir(config.cache.storeDir, { recursive: true });
+    for (const dir of [this.sourceDir, config.cache.storeDir, user.home]) {
+      await chownTree(dir, user.uid, user.gid);
+    }
+    return user;
+  }
+
+  // Run one step without a shell; the install step runs against the
+  // dependency cache's store when there is one
+  async runStep(phase, command, cache = null) {
+    await this.trackPhase(phase, async () => {
+      const { file, args, env } = parseCommand(command, phase);
+      const storeEnv = cache
+        ? getStoreEnvironment(cache.packageManager, path.join(config.cache.storeDir, cache.packageManager), cache.hit)
+        : {};
+      const startTime = Date.now();
+
+      await eventService.publishLog(`Running ${phase} step: ${command}`);
+      await this.spawnStep(phase, file, args, { ...storeEnv, ...env });
+      await this.logPipeline.flush();
+
+      return cache ? this.getCacheResult(cache, Date.now() - startTime) : undefined;
+    }, { command });
+  }
+
+  // The package manager's store plus node_modules, by archive name. npm ci
+  // deletes node_modules before installing, so npm only gets its store.
+  getCacheArchives(packageManager) {
+    const archives = { [packageManager]: config.cache.storeDir };
+    if (packageManager !== 'npm') {
+      archives.node_modules = this.getWorkingDirectory();
+    }
+    return archives;
+  }
+
+  // Returns what the install step runs against, or null when the project
+  // cannot be cached. A cache that fails to restore is a miss, never a
+  // failed build.
+  async restoreDependencyCache() {
+    const { packageManager } = this.projectSettings.profile;
+    if (!config.cache.enabled || !packageManager) return null;
+
+    let key;
+    try {
+      key = getDependencyCacheKey(this.getWorkingDirectory(), this.projectSettings.profile);
+    } catch (error) {
+      logger.warn(`Dependency cache key unavailable: ${error.message}`);
+    }
+    if (!key) {
+      await eventService.publishLog('No lockfile found, installing without the dependency cache');
+      return null;
+    }
+
+    const { uri, deploymentId } = config.project;
+    const cache = {
+      key,
+      packageManager,
+      prefix: s3Service.getDependencyCachePrefix(uri, key),
+      archiveDir: path.join(os.tmpdir(), `dependency-cache-${deploymentId}`),
+      hit: false,
+      restoreMs: 0,
+      coldInstallMs: 0
+    };
+
+    const startTime = Date.now();
+    await this.trackPhase('cache-restore', async () => {
+      const archives = this.getCacheArchives(packageManager);
+      try {
+        const entry = await s3Service.getJson(`${cache.prefix}/cache.json`);
+        if (!entry) {
+          await eventService.publishLog(`Dependency cache miss for ${key}`);
+          return;
         }
-      );
 
-      this.buildProcess.stdout.on('data', async (data) => {
-        const output = data.toString();
-        buildOutput += output;
-        logger.info(output.trim());
-        await Promise.all([
-          kafkaService.publishLog(output),
-          clickhouseService.insertBuildLog(config.project.deploymentId, output)
-        ]);
+        await fs.promises.mkdir(cache.archiveDir, { recursive: true });
+        for (const name of entry.archives) {
+          // Entries saved before an archive was dropped from the cache
+          if (!archives[name]) continue;
+
+          const archivePath = path.join(cache.archiveDir, `${name}.tar.gz`);
+          if (!await s3Service.downloadFile(`${cache.prefix}/${name}.tar.gz`, archivePath)) {
+            throw new Error(`archive ${name} is missing`);
+          }
+          await extractArchive(archivePath, archives[name]);
+        }
+
+        cache.hit = true;
+        cache.coldInstallMs = entry.installDurationMs || 0;
+        await eventService.publishLog(`Dependency cache hit for ${key}`);
+      } catch (error) {
+        // Half-extracted modules would be worse than none
+        await fs.promises.rm(path.join(this.getWorkingDirectory(), 'node_modules'), { recursive: true, force: true });
+        logger.warn(`Dependency cache restore failed: ${error.message}`);
+        await eventService.publishLog(`Dependency cache could not be restored, installing from scratch: ${error.message}`, 'WARN');
+      } finally {
+        await fs.promises.rm(cache.archiveDir, { recursive: true, force: true });
+      }
+    });
+    cache.restoreMs = Date.now() - startTime;
+
+    return cache;
+  }
+
+  // Fields for the install phase's metrics; time saved compares against
+  // the install that filled the cache
+  getCacheResult(cache, installMs) {
+    cache.installMs = installMs;
+    const timeSavedMs = cache.hit
+      ? Math.max(0, cache.coldInstallMs - cache.restoreMs - installMs)
+      : 0;
+
+    return {
+      cacheStatus: cache.hit ? 'HIT' : 'MISS',
+      cacheKey: cache.key,
+      cacheTimeSavedMs: timeSavedMs
+    };
+  }
+
+  // Failing to save only costs the next build its cache hit. Only
+  // production builds save: a preview may build a pull request's code, and
+  // what it installs must not end up in a production build.
+  async saveDependencyCache() {
+    const cache = this.dependencyCache;
+    if (!cache || cache.hit || this.isCancelled) return;
+    if (config.project.previewAlias) {
+      await eventService.publishLog('Preview builds do not save the dependency cache');
+      return;
+    }
+
+    await this.trackPhase('cache-save', async () => {
+      try {
+        await fs.promises.mkdir(cache.archiveDir, { recursive: true });
+
+        const saved = [];
+        for (const [name, parentDir] of Object.entries(this.getCacheArchives(cache.packageManager))) {
+          if (!fs.existsSync(path.join(parentDir, name))) continue;
+
+          const archivePath = path.join(cache.archiveDir, `${name}.tar.gz`);
+          await createArchive(parentDir, name, archivePath);
+          await s3Service.uploadFile(archivePath, cache.prefix, `${name}.tar.gz`);
+          saved.push(name);
+        }
+
+        if (saved.length === 0) return;
+
+        // Written last: an entry without it is never restored
+        await s3Service.putJson(`${cache.prefix}/cache.json`, {
+          key: cache.key,
+          packageManager: cache.packageManager,
+          archives: saved,
+          installDurationMs: cache.installMs,
+          createdAt: new Date().toISOString()
+        });
+        await eventService.publishLog(`Saved dependency cache ${cache.key}`);
+      } catch (error) {
+        logger.warn(`Dependency cache save failed: ${error.message}`);
+        await eventService.publishLog(`Dependency cache could not be saved: ${error.message}`, 'WARN');
+      } finally {
+        await fs.promises.rm(cache.archiveDir, { recursive: true, force: true });
+      }
+    });
+  }
+
+  // Publish phase.started/phase.finished around fn; the finished event
+  // carries the phase's exit code and duration for the metrics sinks, plus
+  // whatever fields fn resolves with
+  async trackPhase(phase, fn, startedData = {}) {
+    this.throwIfCancelled();
+    const startTime = new Date();
+    await eventService.publish(EVENT_TYPES.PHASE_STARTED, { phase, ...startedData });
+
+    let finishedData;
+    try {
+      finishedData = await fn();
+    } catch (stepError) {
+      // A step killed by cancellation did not fail on its own
+      const error = this.isCancelled ? this.createCancelledError(phase) : stepError;
+      const exitCode = stepError.details?.exitCode ?? -1;
+      await eventService.publish(EVENT_TYPES.PHASE_FINISHED, {
+        phase,
+        status: this.isCancelled ? 'CANCELLED' : 'FAILED',
+        durationMs: Date.now() - startTime,
+        exitCode,
+        errorCode: ErrorHandler.getErrorCode(error),
+        message: error.message
+      });
+      error.details = { ...error.details, phase: error.details?.phase || phase };
+      throw error;
+    }
+
+    await eventService.publish(EVENT_TYPES.PHASE_FINISHED, {
+      phase,
+      status: 'SUCCESS',
+      durationMs: Date.now() - startTime,
+      exitCode: 0,
+      ...finishedData
+    });
+  }
+
+  spawnStep(phase, file, args, env) {
+    return new Promise((resolve, reject) => {
+      let stepErrors = '';
+
+      this.buildProcess = spawn(file, args, {
+        cwd: this.getWorkingDirectory(),
+        env: {
+          ...createBuildEnvironment(
+            process.env,
+            this.getProjectEnvironmentVariables(),
+            config.build.envAllowlist
+          ),
+          ...(this.stepUser ? { HOME: this.stepUser.home } : {}),
+          ...env
+        },
+        ...(this.stepUser ? { uid: this.stepUser.uid, gid: this.stepUser.gid } : {}),
+        // Own process group, so the whole tree can be killed at once
+        detached: true,
+        stdio: ['ignore', 'pipe', 'pipe']
       });
 
-      this.buildProcess.stderr.on('data', async (data) => {
-        const error = data.toString();
-        buildErrors += error;
-        logger.error(error.trim());
-        await Promise.all([
-          kafkaService.publishLog(`Error: ${error}`),
-          clickhouseService.insertBuildLog(
-            config.project.deploymentId,
-            error,
-            'ERROR'
-          )
-        ]);
+      this.pipeOutput(this.buildProcess.stdout, 'stdout', 'INFO');
+      this.pipeOutput(this.buildProcess.stderr, 'stderr', 'ERROR');
+
+      this.buildProcess.stderr.on('data', (data) => {
+        stepErrors = (stepErrors + data).slice(-64 * 1024);
       });
 
-      this.buildProcess.on('close', async (code) => {
+      // Set a timeout for the step
+      const stepTimeout = setTimeout(() => {
+        this.killBuildProcess();
+        reject(new BuildError(
+          `${phase} step timed out`,
+          ErrorHandler.BUILD_ERROR_CODES.BUILD_FAILED,
+          { phase, timeout: true }
+        ));
+      }, config.build.timeoutMs);
+
+      this.buildProcess.on('close', (code, signal) => {
+        clearTimeout(stepTimeout);
         if (code === 0) {
-          resolve();
+          resolve(code);
         } else {
           reject(new BuildError(
-            `Build process exited with code ${code}\n${buildErrors}`,
+            `${phase} step exited with ${code !== null ? `code ${code}` : `signal ${signal}`}\n${stepErrors}`,
             ErrorHandler.BUILD_ERROR_CODES.BUILD_FAILED,
-            { exitCode: code, buildErrors }
+            { phase, exitCode: code ?? -1, buildErrors: stepErrors }
           ));
         }
       });
 
       this.buildProcess.on('error', (error) => {
+        clearTimeout(stepTimeout);
         reject(new BuildError(
-          `Failed to start build process: ${error.message}`,
+          `Failed to start ${phase} step: ${error.message}`,
           ErrorHandler.BUILD_ERROR_CODES.BUILD_FAILED,
-          { originalError: error }
+          { phase, exitCode: -1, originalError: error.message }
         ));
       });
+    });
+  }
 
-      // Set a timeout for the build process
-      const buildTimeout = setTimeout(() => {
-        this.buildProcess.kill();
-        reject(new BuildError(
-          'Build process timed out',
-          ErrorHandler.BUILD_ERROR_CODES.BUILD_FAILED,
-          { timeout: true }
-        ));
-      }, 30 * 60 * 1000); // 30 minutes timeout
+  // Feed a child stream into the log pipeline, pausing it while the
+  // pipeline is backed up
+  pipeOutput(readable, stream, level) {
+    readable.setEncoding('utf8');
 
-      this.buildProcess.on('close', () => clearTimeout(buildTimeout));
+    // No raw echo to the container log: output only leaves as redacted events
+    readable.on('data', (data) => {
+      if (!this.logPipeline.write(stream, data, level)) {
+        readable.pause();
+        this.logPipeline.once('drain', () => readable.resume());
+      }
     });
+
+    readable.on('end', () => this.logPipeline.end(stream, level));
+  }
+
+  killBuildProcess(signal = 'SIGTERM') {
+    if (!this.buildProcess || this.buildProcess.exitCode !== null || !this.buildProcess.pid) {
+      return;
+    }
+
+    try {
+      process.kill(-this.buildProcess.pid, signal);
+    } catch (error) {
+      this.buildProcess.kill(signal);
+    }
   }
 
   async uploadArtifacts() {
-    const distDir = path.join(this.outputDir, 'dist');
+    const distDir = path.join(
+      this.getWorkingDirectory(),
+      this.projectSettings.outputDirectory
+    );
     if (!fs.existsSync(distDir)) {
       throw new BuildError(
-        'Build directory not found',
+        `Build output directory not found: ${this.projectSettings.outputDirectory}`,
         ErrorHandler.BUILD_ERROR_CODES.BUILD_FAILED
       );
     }
 
-    const files = fs.readdirSync(distDir, { recursive: true });
+    // The checkout may itself make the output directory a link out of it
+    const checkout = fs.realpathSync(this.sourceDir);
+    if (!isWithin(checkout, fs.realpathSync(distDir))) {
+      throw new BuildError(
+        `Build output directory resolves outside the project: ${this.projectSettings.outputDirectory}`,
+        ErrorHandler.BUILD_ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+
+    const { uri, deploymentId } = config.project;
+    const keyPrefix = s3Service.getDeploymentPrefix(uri, deploymentId);
+    const artifacts = this.collectArtifacts(distDir);
+    const manifest = await buildManifest(uri, deploymentId, artifacts);
+    manifest.routes = {
+      redirects: this.projectSettings.redirects,
+      rewrites: this.projectSettings.rewrites,
+      headers: this.projectSettings.headers,
+      spa: this.projectSettings.spa
+    };
+    const previousManifest = await this.getPreviousManifest();
+    const { changed, deleted } = diffManifests(previousManifest, manifest);
+    const previousPrefix = previousManifest
+      ? s3Service.getDeploymentPrefix(uri, previousManifest.deploymentId)
+      : null;
+    const changedPaths = new Set(changed);
+    const artifactPaths = new Set(artifacts.map(artifact => artifact.relativePath));
+    const uploadQueue = new UploadQueue(config.upload.concurrency);
     const uploadPromises = [];
     let uploadedCount = 0;
-    const totalFiles = files.filter(file => 
-      !fs.lstatSync(path.join(distDir, file)).isDirectory()
-    ).length;
-
-    for (const file of files) {
-      const filePath = path.join(distDir, file);
-      if (fs.lstatSync(filePath).isDirectory()) continue;
+    let skippedCount = 0;
+    const totalFiles = artifacts.length;
 
-      const uploadPromise = (async () => {
+    for (const { filePath, relativePath } of artifacts) {
+      const uploadPromise = uploadQueue.add(async () => {
+        // Files not yet started are skipped once the build is cancelled
+        this.throwIfCancelled('upload');
         try {
-          await s3Service.uploadFile(filePath, config.project.uri);
-          uploadedCount++;
-          await kafkaService.publishLog(
-            `Upload progress: ${uploadedCount}/${totalFiles} files`
-          );
+          const entry = manifest.files[relativePath];
+          const previousEntry = previousManifest?.files[relativePath];
+          const skipped = !changedPaths.has(relativePath) &&
+            await this.reuseArtifact(previousPrefix, keyPrefix, relativePath, previousEntry.encodings);
+
+          if (skipped) {
+            entry.encodings = previousEntry.encodings;
+            skippedCount++;
+          } else {
+            await s3Service.uploadFile(filePath, keyPrefix, relativePath, {
+              cacheControl: entry.cacheControl
+            });
+            entry.encodings = await this.uploadCompressedVariants(
+              filePath,
+              keyPrefix,
+              relativePath,
+              entry.cacheControl,
+              artifactPaths
+            );
+            uploadedCount++;
+          }
+
+          await eventService.publish(EVENT_TYPES.UPLOAD_PROGRESS, {
+            path: relativePath,
+            uploaded: uploadedCount,
+            skipped: skippedCount,
+            total: totalFiles
+          });
         } catch (error) {
           throw new BuildError(
-            `Failed to upload ${file}`,
+            `Failed to upload ${relativePath}`,
             ErrorHandler.BUILD_ERROR_CODES.UPLOAD_FAILED,
             { originalError: error.message }
           );
         }
-      })();
+      });
 
       uploadPromises.push(uploadPromise);
     }
 
-    await Promise.all(uploadPromises);
+    // Wait for in-flight uploads to settle before reporting a failure
+    const results = await Promise.allSettled(uploadPromises);
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+
+    try {
+      await s3Service.putManifest(manifest);
+    } catch (error) {
+      throw new BuildError(
+        'Failed to upload deployment manifest',
+        ErrorHandler.BUILD_ERROR_CODES.UPLOAD_FAILED,
+        { originalError: error.message }
+      );
+    }
+
+    await eventService.publishLog(
+      `Upload complete: ${uploadedCount} uploaded, ${skippedCount} skipped, ` +
+      `${deleted.length} deleted`
+    );
   }
 
+  // A preview builds on its own last deployment, falling back to production
+  async getPreviousManifest() {
+    const { uri, previewAlias } = config.project;
+    try {
+      const current = (previewAlias && await s3Service.getPreviewDeployment(uri, previewAlias)) ||
+        await s3Service.getCurrentDeployment(uri);
+      if (!current || current.deploymentId === config.project.deploymentId) {
+        return null;
+      }
+
+      return await s3Service.getManifest(config.project.uri, current.deploymentId);
+    } catch (error) {
+      logger.warn(`Previous manifest unavailable, uploading all files: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Copy an unchanged file (and its compressed variants) from the previous
+  // deployment instead of uploading it again; a failed copy falls back to
+  // a regular upload
+  async reuseArtifact(previousPrefix, keyPrefix, relativePath, encodings = []) {
+    const objectPaths = [
+      relativePath,
+      ...encodings.map(encoding => `${relativePath}${getVariantExtension(encoding)}`)
+    ];
+
+    try {
+      for (const objectPath of objectPaths) {
+        await s3Service.copyObject(
+          `${previousPrefix}/${objectPath}`,
+          `${keyPrefix}/${objectPath}`
+        );
+      }
+      return true;
+    } catch (error) {
+      logger.warn(`Could not reuse ${relativePath}, uploading instead`);
+      return false;
+    }
+  }
+
+  async activateDeployment() {
+    const { uri, deploymentId, previewAlias } = config.project;
+    try {
+      // Previews only ever move their own pointer; production is promoted
+      // explicitly
+      if (previewAlias) {
+        await s3Service.setPreviewDeployment(uri, previewAlias, deploymentId);
+        await eventService.publishLog(
+          `Deployment ${deploymentId} is now live as preview ${previewAlias}`
+        );
+        return;
+      }
+
+      await s3Service.setCurrentDeployment(uri, deploymentId);
+      await eventService.publishLog(`Deployment ${deploymentId} is now live`);
+    } catch (error) {
+      throw new BuildError(
+        'Failed to activate deployment',
+        ErrorHandler.BUILD_ERROR_CODES.S3_ERROR,
+        { originalError: error.message }
+      );
+    }
+  }
+
+  // Upload gzip/brotli variants next to the original as `<file>.gz` and
+  // `<file>.br`, unless the build already ships a file under that name
+  async uploadCompressedVariants(filePath, keyPrefix, relativePath, cacheControl, artifactPaths) {
+    const variants = (await compressFile(filePath))
+      .filter(variant => !artifactPaths.has(`${relativePath}${variant.extension}`));
+
+    for (const { encoding, extension, contentType, body } of variants) {
+      await s3Service.uploadBuffer(`${keyPrefix}/${relativePath}${extension}`, body, {
+        contentType,
+        contentEncoding: encoding,
+        cacheControl
+      });
+    }
+
+    return variants.map(variant => variant.encoding);
+  }
+
+  // Map every file under distDir to a POSIX path relative to distDir
+  collectArtifacts(distDir) {
+    const artifacts = [];
+    const seenPaths = new Map();
+    const root = fs.realpathSync(distDir);
+
+    for (const file of listFiles(distDir)) {
+      const filePath = path.join(distDir, file);
+      const stats = fs.lstatSync(filePath);
+
+      // Uploads read through links, so a link is only published when it
+      // points at a regular file inside the output directory
+      if (!stats.isFile() && !this.isLinkToOutputFile(filePath, root)) {
+        logger.warn(`Skipping ${file}: not a file in the output directory`);
+        continue;
+      }
+
+      // Never publish VCS metadata or dependencies (static sites upload the repo root)
+      const segments = file.split(/[\\/]/);
+      if (segments.includes('.git') || segments.includes('node_modules')) continue;
+
+      // Normalise backslashes too, so `a\b.js` and `a/b.js` are treated as a collision
+      const relativePath = path.relative(distDir, filePath).replace(/\\/g, '/');
+
+      if (seenPaths.has(relativePath)) {
+        throw new BuildError(
+          `Artifact path collision: ${file} and ${seenPaths.get(relativePath)} both map to ${relativePath}`,
+          ErrorHandler.BUILD_ERROR_CODES.UPLOAD_FAILED,
+          { relativePath, files: [seenPaths.get(relativePath), file] }
+        );
+      }
+
+      seenPaths.set(relativePath, file);
+      artifacts.push({ filePath, relativePath });
+    }
+
+    return artifacts;
+  }
+
+  isLinkToOutputFile(filePath, root) {
+    let target;
+    try {
+      target = fs.realpathSync(filePath);
+    } catch {
+      return false;
+    }
+
+    return isWithin(root, target) && fs.statSync(target).isFile();
+  }
+
+  // deploy-ninja.json env values are defaults; real env vars win
   getProjectEnvironmentVariables() {
     return Object.keys(process.env)
       .filter(key => key.startsWith('PROJECT_ENVIRONMENT_'))
       .reduce((envVars, key) => {
         envVars[key] = process.env[key];
         return envVars;
-      }, {});
+      }, { ...(this.projectSettings?.env || {}) });
   }
 
   async setupCleanup() {
-    process.on('SIGTERM', async () => {
-      logger.info('Received SIGTERM');
-      await this.cleanup();
-      process.exit(0);
-    });
-
-    process.on('SIGINT', async () => {
-      logger.info('Received SIGINT');
-      await this.cleanup();
-      process.exit(0);
-    });
+    // A stop request cancels the build; runBuild records it and exits
+    process.on('SIGTERM', () => this.cancel('SIGTERM'));
+    process.on('SIGINT', () => this.cancel('SIGINT'));
 
     // Handle uncaught exceptions
     process.on('uncaughtException', async (error) => {
@@ -260,33 +927,47 @@ class BuildServer {
     this.isExiting = true;
 
     const buildEndTime = new Date();
-    const status = error ? 'FAILED' : 'SUCCESS';
-    const errorMessage = error ? error.message : '';
 
     try {
       // Kill build process if it's still running
-      if (this.buildProcess && !this.buildProcess.killed) {
-        this.buildProcess.kill();
+      this.killBuildProcess();
+
+      // Deliver buffered build output ahead of the final build event
+      await this.logPipeline.drain();
+
+      const durationMs = buildEndTime - (this.buildStartTime || buildEndTime);
+      const lastSequence = this.logPipeline.sequence - 1;
+      const ending = { durationMs, ...(lastSequence >= 0 ? { lastSequence } : {}) };
+      if (error?.code === ErrorHandler.BUILD_ERROR_CODES.BUILD_CANCELLED) {
+        await eventService.publish(EVENT_TYPES.BUILD_CANCELLED, {
+          ...ending,
+          ...(error.details?.phase ? { phase: error.details.phase } : {})
+        }).catch(publishError => logger.error('Failed to publish build.cancelled:', publishError));
+      } else if (error) {
+        await eventService.publish(EVENT_TYPES.BUILD_FAILED, {
+          ...ending,
+          errorCode: ErrorHandler.getErrorCode(error),
+          message: error.message,
+          ...(error.details?.phase ? { phase: error.details.phase } : {})
+        }).catch(publishError => logger.error('Failed to publish build.failed:', publishError));
+      } else {
+        await eventService.publish(EVENT_TYPES.BUILD_SUCCEEDED, {
+          ...ending,
+          ...(this.cachedFrom ? { cachedFrom: this.cachedFrom } : {})
+        })
+          .catch(publishError => logger.error('Failed to publish build.succeeded:', publishError));
       }
 
-      // Record build metrics
-      await clickhouseService.recordBuildMetrics(
-        config.project.deploymentId,
-        config.project.uri,
-        this.buildStartTime,
-        buildEndTime,
-        status,
-        errorMessage
-      );
-
       // Graceful shutdown
       await ErrorHandler.gracefulShutdown(
         {
-          kafka: kafkaService,
-          clickhouse: clickhouseService,
+          events: eventService,
           cleanup: async () => {
-            if (fs.existsSync(this.outputDir)) {
-              fs.rmSync(this.outputDir, { recursive: true, force: true });
+            if (fs.existsSync(this.sourceDir)) {
+              fs.rmSync(this.sourceDir, { recursive: true, force: true });
+            }
+            if (this.stepUser) {
+              fs.rmSync(this.stepUser.home, { recursive: true, force: true });
             }
           }
         },
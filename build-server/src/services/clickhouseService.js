@@ -40,7 +40,9 @@ class ClickHouseService {
         deployment_id String,
         log String,
         timestamp DateTime DEFAULT now(),
-        level String DEFAULT 'INFO'
+        level String DEFAULT 'INFO',
+        sequence UInt64 DEFAULT 0,
+        stream String DEFAULT ''
       )
       ENGINE = MergeTree()
       ORDER BY (timestamp, deployment_id);
@@ -55,15 +57,34 @@ class ClickHouseService {
         duration_seconds UInt32,
         status String,
         error_message String DEFAULT '',
-        timestamp DateTime DEFAULT now()
+        timestamp DateTime DEFAULT now(),
+        phase String DEFAULT 'deployment',
+        exit_code Int32 DEFAULT 0,
+        cache_status String DEFAULT '',
+        cache_key String DEFAULT '',
+        cache_time_saved_ms UInt64 DEFAULT 0
       )
       ENGINE = MergeTree()
       ORDER BY (timestamp, deployment_id);
     `;
 
+    // Columns added after the first release, for tables created before them
+    const migrations = [
+      `ALTER TABLE log_events ADD COLUMN IF NOT EXISTS sequence UInt64 DEFAULT 0`,
+      `ALTER TABLE log_events ADD COLUMN IF NOT EXISTS stream String DEFAULT ''`,
+      `ALTER TABLE build_metrics ADD COLUMN IF NOT EXISTS phase String DEFAULT 'deployment'`,
+      `ALTER TABLE build_metrics ADD COLUMN IF NOT EXISTS exit_code Int32 DEFAULT 0`,
+      `ALTER TABLE build_metrics ADD COLUMN IF NOT EXISTS cache_status String DEFAULT ''`,
+      `ALTER TABLE build_metrics ADD COLUMN IF NOT EXISTS cache_key String DEFAULT ''`,
+      `ALTER TABLE build_metrics ADD COLUMN IF NOT EXISTS cache_time_saved_ms UInt64 DEFAULT 0`
+    ];
+
     try {
       await this.client.exec({ query: createLogEventsTable });
       await this.client.exec({ query: createBuildMetricsTable });
+      for (const query of migrations) {
+        await this.client.exec({ query });
+      }
       logger.info('ClickHouse tables verified');
     } catch (error) {
       throw new BuildError(
@@ -100,7 +121,58 @@ class ClickHouseService {
     }
   }
 
+  // Insert a batch of build output lines from the log pipeline
+  async insertBuildLogs(deploymentId, entries) {
+    if (!this.isConnected) {
+      throw new BuildError(
+        'ClickHouse client not connected',
+        ErrorHandler.BUILD_ERROR_CODES.CLICKHOUSE_ERROR
+      );
+    }
+
+    try {
+      await this.client.insert({
+        table: 'log_events',
+        values: entries.map(entry => ({
+          event_id: crypto.randomUUID(),
+          deployment_id: deploymentId,
+          log: entry.line,
+          level: entry.level,
+          timestamp: entry.timestamp,
+          sequence: entry.sequence,
+          stream: entry.stream
+        })),
+        format: 'JSONEachRow'
+      });
+    } catch (error) {
+      logger.error('Failed to insert build logs:', error);
+      // Don't throw here to prevent build process interruption
+    }
+  }
+
   async recordBuildMetrics(deploymentId, projectUri, startTime, endTime, status, errorMessage = '') {
+    await this.recordPhaseMetrics(deploymentId, projectUri, {
+      phase: 'deployment',
+      startTime,
+      endTime,
+      status,
+      errorMessage
+    });
+  }
+
+  // One row per build step (install, build, ...) next to the overall
+  // 'deployment' row; the install row also says how the dependency cache did
+  async recordPhaseMetrics(deploymentId, projectUri, {
+    phase,
+    startTime,
+    endTime,
+    status,
+    exitCode = 0,
+    errorMessage = '',
+    cacheStatus = '',
+    cacheKey = '',
+    cacheTimeSavedMs = 0
+  }) {
     if (!this.isConnected) {
       throw new BuildError(
         'ClickHouse client not connected',
@@ -121,7 +193,12 @@ class ClickHouseService {
           duration_seconds: durationSeconds,
           status: status,
           error_message: errorMessage,
-          timestamp: new Date()
+          timestamp: new Date(),
+          phase,
+          exit_code: exitCode,
+          cache_status: cacheStatus,
+          cache_key: cacheKey,
+          cache_time_saved_ms: cacheTimeSavedMs
         }],
         format: 'JSONEachRow'
       });
@@ -137,7 +214,7 @@ class ClickHouseService {
         SELECT *
         FROM log_events
         WHERE deployment_id = {deployment_id: String}
-        ORDER BY timestamp ASC
+        ORDER BY timestamp ASC, sequence ASC
       `;
 
       const result = await this.client.query({
@@ -163,6 +240,7 @@ class ClickHouseService {
         SELECT *
         FROM build_metrics
         WHERE deployment_id = {deployment_id: String}
+          AND phase = 'deployment'
         LIMIT 1
       `;
 
@@ -0,0 +1,127 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const redactor = require('../utils/redactor');
+const LogPipeline = require('../utils/logPipeline');
+const { createSink, StdoutSink } = require('../sinks');
+const { BuildError, ErrorHandler } = require('../utils/errorHandler');
+const {
+  EVENT_TYPES,
+  createBuildEvent,
+  getBuildEventErrors
+} = require('../utils/buildEvents');
+
+// Single path for everything the build reports: events are redacted and
+// validated once here, then fanned out to the configured sinks
+class EventService {
+  constructor() {
+    this.sinks = [];
+    this.logPipeline = new LogPipeline({
+      send: entries => this.publishLogEntries(entries),
+      ...config.logs
+    });
+  }
+
+  async initialize() {
+    const { enabled, required } = config.sinks;
+
+    for (const name of enabled) {
+      const sink = createSink(name);
+      if (!sink) {
+        throw new BuildError(
+          `Unknown event sink: ${name}`,
+          ErrorHandler.BUILD_ERROR_CODES.VALIDATION_ERROR,
+          { sink: name }
+        );
+      }
+
+      try {
+        await sink.connect();
+        this.sinks.push(sink);
+        logger.info(`Event sink ready: ${name}`);
+      } catch (error) {
+        if (required.includes(name)) {
+          throw new BuildError(
+            `Required event sink ${name} failed to connect: ${error.message}`,
+            error.code || ErrorHandler.BUILD_ERROR_CODES.UNKNOWN_ERROR,
+            { sink: name, originalError: error.message }
+          );
+        }
+        logger.warn(`Skipping event sink ${name}: ${error.message}`);
+      }
+    }
+
+    // Never run a build nobody can see
+    if (this.sinks.length === 0) {
+      logger.warn('No event sinks available, falling back to stdout');
+      this.sinks.push(new StdoutSink());
+    }
+  }
+
+  createEvent(type, data = {}, timestamp = new Date()) {
+    return createBuildEvent(type, {
+      deploymentId: config.project.deploymentId,
+      projectUri: config.project.uri,
+      timestamp
+    }, this.redactData(data));
+  }
+
+  redactData(data) {
+    return Object.fromEntries(Object.entries(data).map(([key, value]) => [
+      key,
+      typeof value === 'string' ? redactor.redact(value) : value
+    ]));
+  }
+
+  async publishEvents(events) {
+    const validEvents = events.filter((event) => {
+      const errors = getBuildEventErrors(event);
+      if (errors) logger.error(`Dropping invalid ${event.type} event: ${errors}`);
+      return !errors;
+    });
+    if (validEvents.length === 0) return;
+
+    // A failing sink loses its copy of the events but never fails the build
+    await Promise.all(this.sinks.map(sink =>
+      sink.publish(validEvents).catch((error) => {
+        logger.error(`Event sink ${sink.name} failed:`, error.message);
+      })
+    ));
+  }
+
+  // Lifecycle events flush pending log lines first so that consumers see
+  // a phase's output before the phase.finished that ends it
+  async publish(type, data = {}) {
+    await this.logPipeline.flush();
+    await this.publishEvents([this.createEvent(type, data)]);
+  }
+
+  // A message from the build server itself, sequenced with build output
+  async publishLog(message, level = 'INFO') {
+    this.logPipeline.write('system', `${message}\n`, level);
+  }
+
+  async publishLogEntries(entries) {
+    await this.publishEvents(entries.map(entry => this.createEvent(
+      EVENT_TYPES.LOG_LINE,
+      {
+        sequence: entry.sequence,
+        stream: entry.stream,
+        level: entry.level,
+        line: entry.line
+      },
+      entry.timestamp
+    )));
+  }
+
+  async disconnect() {
+    await this.logPipeline.drain();
+    await Promise.allSettled(this.sinks.map(sink =>
+      sink.disconnect().catch((error) => {
+        logger.error(`Error disconnecting event sink ${sink.name}:`, error.message);
+      })
+    ));
+    this.sinks = [];
+  }
+}
+
+module.exports = new EventService();
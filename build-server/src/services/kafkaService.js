@@ -1,59 +1,94 @@
 const { Kafka, Partitioners } = require('kafkajs');
 const config = require('../config/config');
 const fs = require('fs');
-const path = require('path');
 const logger = require('../utils/logger');
+const { EVENT_TYPES } = require('../utils/buildEvents');
+const { BuildError, ErrorHandler } = require('../utils/errorHandler');
 
 class KafkaService {
   constructor() {
-    this.kafka = new Kafka({
-      clientId: config.kafka.clientId,
-      brokers: [config.kafka.broker],
-      ssl: {
-        ca: [fs.readFileSync(path.join(__dirname, '../../ca.pem'), 'utf-8')],
+    this.kafka = null;
+    this.producer = null;
+  }
+
+  // The client is created on connect so that merely loading this module
+  // never needs a broker or a CA file
+  async createClient() {
+    if (!config.kafka.broker) {
+      throw new BuildError(
+        'Kafka broker not configured',
+        ErrorHandler.BUILD_ERROR_CODES.KAFKA_ERROR
+      );
+    }
+
+    // Without a custom CA the system trust store is used
+    const ssl = fs.existsSync(config.kafka.caPath)
+      ? {
+        ca: [await fs.promises.readFile(config.kafka.caPath, 'utf-8')],
         rejectUnauthorized: true
-      },
-      sasl: {
-        username: config.kafka.sasl.username,
-        password: config.kafka.sasl.password,
-        mechanism: config.kafka.sasl.mechanism
       }
-    });
+      : true;
 
-    this.producer = null;
+    return new Kafka({
+      clientId: config.kafka.clientId,
+      brokers: [config.kafka.broker],
+      ssl,
+      sasl: config.kafka.sasl.username
+        ? {
+          username: config.kafka.sasl.username,
+          password: config.kafka.sasl.password,
+          mechanism: config.kafka.sasl.mechanism
+        }
+        : undefined
+    });
   }
 
   async connect() {
     try {
+      this.kafka = await this.createClient();
       this.producer = this.kafka.producer({
         createPartitioner: Partitioners.LegacyPartitioner
       });
       await this.producer.connect();
     } catch (error) {
+      this.producer = null;
       logger.error('Failed to connect to Kafka:', error);
       throw error;
     }
   }
 
-  async publishLog(log) {
+  // Typed events go to the events topic; log lines to their own topic so
+  // log consumers are not flooded with lifecycle events and vice versa
+  getTopic(event) {
+    return event.type === EVENT_TYPES.LOG_LINE
+      ? config.kafka.topics.logs
+      : config.kafka.topics.events;
+  }
+
+  async publishEvents(events) {
     if (!this.producer) {
       throw new Error('Kafka producer not initialized');
     }
 
+    const topicMessages = new Map();
+    for (const event of events) {
+      const topic = this.getTopic(event);
+      if (!topicMessages.has(topic)) topicMessages.set(topic, []);
+      // Keyed by deployment so one deployment's events stay in order
+      topicMessages.get(topic).push({
+        key: event.deploymentId,
+        value: JSON.stringify(event)
+      });
+    }
+
+    if (topicMessages.size === 0) return;
+
     try {
-      await this.producer.send({
-        topic: 'build-logs',
-        messages: [{
-          key: 'log',
-          value: JSON.stringify({
-            PROJECT_URI: config.project.uri,
-            DEPLOYMENT_ID: config.project.deploymentId,
-            log
-          })
-        }]
+      await this.producer.sendBatch({
+        topicMessages: [...topicMessages].map(([topic, messages]) => ({ topic, messages }))
       });
     } catch (error) {
-      logger.error('Failed to publish log:', error);
+      logger.error('Failed to publish events:', error);
       throw error;
     }
   }
@@ -61,8 +96,9 @@ class KafkaService {
   async disconnect() {
     if (this.producer) {
       await this.producer.disconnect();
+      this.producer = null;
     }
   }
 }
 
-module.exports = new KafkaService();
\ No newline at end of file
+module.exports = new KafkaService();
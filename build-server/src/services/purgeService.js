@@ -0,0 +1,30 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+class PurgeService {
+  // Tells every proxy to drop the project's cached responses and pointers,
+  // as the API does when it moves a pointer. A proxy that cannot be reached
+  // serves stale content until its caches expire.
+  async purgeProject(projectUri) {
+    const { purgeUrls, purgeToken, timeoutMs } = config.proxies;
+    if (purgeUrls.length === 0) return;
+
+    await Promise.all(purgeUrls.map(async (baseUrl) => {
+      const url = `${baseUrl.replace(/\/+$/, '')}/__edge/purge/${encodeURIComponent(projectUri)}`;
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${purgeToken}` },
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+        if (!response.ok) {
+          throw new Error(`responded ${response.status}`);
+        }
+      } catch (error) {
+        logger.warn(`Failed to purge ${projectUri} on ${baseUrl}: ${error.message}`);
+      }
+    }));
+  }
+}
+
+module.exports = new PurgeService();
@@ -1,9 +1,25 @@
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  CopyObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
 const config = require('../config/config');
 const mime = require('mime-types');
 const fs = require('fs');
 const path = require('path');
+const { pipeline } = require('stream/promises');
 const logger = require('../utils/logger');
+const { withRetry } = require('../utils/retry');
+
+const CURRENT_DEPLOYMENT_KEY = 'current.json';
+const PREVIEWS_PREFIX = 'previews';
+// Outside __outputs so the proxy can never serve it
+const CACHE_PREFIX = '__cache';
 
 class S3Service {
   constructor() {
@@ -12,29 +28,267 @@ class S3Service {
       credentials: {
         accessKeyId: config.aws.accessKeyId,
         secretAccessKey: config.aws.secretAccessKey
-      }
+      },
+      endpoint: config.aws.endpoint,
+      forcePathStyle: config.aws.forcePathStyle,
+      // Retries are handled by withRetry so request bodies can be recreated
+      maxAttempts: 1
     });
   }
 
-  async uploadFile(filePath, projectUri) {
-    const fileStream = fs.createReadStream(filePath);
-    const fileName = path.basename(filePath);
-    
-    const command = new PutObjectCommand({
-      Bucket: config.aws.s3BucketName,
-      Key: `__outputs/${projectUri}/${fileName}`,
-      Body: fileStream,
-      ContentType: mime.lookup(filePath) || 'application/octet-stream'
+  retry(label, fn) {
+    return withRetry(fn, {
+      retries: config.upload.maxRetries,
+      baseDelayMs: config.upload.retryBaseDelayMs,
+      label
     });
+  }
+
+  getDeploymentPrefix(projectUri, deploymentId) {
+    return `__outputs/${projectUri}/${deploymentId}`;
+  }
+
+  getCurrentDeploymentKey(projectUri) {
+    return `__outputs/${projectUri}/${CURRENT_DEPLOYMENT_KEY}`;
+  }
+
+  getPreviewDeploymentKey(projectUri, alias) {
+    return `__outputs/${projectUri}/${PREVIEWS_PREFIX}/${alias}.json`;
+  }
+
+  // Stored beside (not inside) the deployment prefix so it is never served
+  getManifestKey(projectUri, deploymentId) {
+    return `__outputs/${projectUri}/${deploymentId}.manifest.json`;
+  }
+
+  // Dependency archives for one cache key, shared by every build of the
+  // project that installs the same thing
+  getDependencyCachePrefix(projectUri, cacheKey) {
+    return `${CACHE_PREFIX}/${projectUri}/dependencies/${cacheKey}`;
+  }
+
+  // Which deployment last built a given fingerprint
+  getBuildFingerprintKey(projectUri, fingerprint) {
+    return `${CACHE_PREFIX}/${projectUri}/builds/${fingerprint}.json`;
+  }
+
+  async uploadFile(filePath, keyPrefix, relativePath, { cacheControl } = {}) {
+    const fileName = relativePath || path.basename(filePath);
+    const key = `${keyPrefix}/${fileName}`;
+    const contentType = mime.lookup(filePath) || 'application/octet-stream';
 
     try {
-      await this.client.send(command);
+      const { size } = await fs.promises.stat(filePath);
+
+      if (size >= config.upload.multipartThresholdBytes) {
+        await this.uploadMultipart(filePath, key, size, contentType, cacheControl);
+      } else {
+        await this.retry(`upload of ${fileName}`, () => this.client.send(
+          new PutObjectCommand({
+            Bucket: config.aws.s3BucketName,
+            Key: key,
+            Body: fs.createReadStream(filePath),
+            ContentLength: size,
+            ContentType: contentType,
+            CacheControl: cacheControl
+          })
+        ));
+      }
+
       logger.info(`Successfully uploaded ${fileName}`);
     } catch (error) {
       logger.error(`Failed to upload ${fileName}: ${error.message}`);
       throw error;
     }
   }
+
+  // Upload a large file in parts; each part is retried on its own and the
+  // upload is aborted if any part ultimately fails
+  async uploadMultipart(filePath, key, size, contentType, cacheControl) {
+    const { UploadId } = await this.retry(`multipart start of ${key}`, () =>
+      this.client.send(new CreateMultipartUploadCommand({
+        Bucket: config.aws.s3BucketName,
+        Key: key,
+        ContentType: contentType,
+        CacheControl: cacheControl
+      }))
+    );
+
+    try {
+      const partSize = config.upload.partSizeBytes;
+      const parts = [];
+
+      for (let start = 0, partNumber = 1; start < size; start += partSize, partNumber++) {
+        const end = Math.min(start + partSize, size) - 1;
+        const { ETag } = await this.retry(`part ${partNumber} of ${key}`, () =>
+          this.client.send(new UploadPartCommand({
+            Bucket: config.aws.s3BucketName,
+            Key: key,
+            UploadId,
+            PartNumber: partNumber,
+            Body: fs.createReadStream(filePath, { start, end }),
+            ContentLength: end - start + 1
+          }))
+        );
+        parts.push({ ETag, PartNumber: partNumber });
+      }
+
+      await this.retry(`multipart completion of ${key}`, () =>
+        this.client.send(new CompleteMultipartUploadCommand({
+          Bucket: config.aws.s3BucketName,
+          Key: key,
+          UploadId,
+          MultipartUpload: { Parts: parts }
+        }))
+      );
+    } catch (error) {
+      await this.client.send(new AbortMultipartUploadCommand({
+        Bucket: config.aws.s3BucketName,
+        Key: key,
+        UploadId
+      })).catch((abortError) => {
+        logger.error(`Failed to abort multipart upload of ${key}:`, abortError.message);
+      });
+      throw error;
+    }
+  }
+
+  // Upload an in-memory body such as a pre-compressed variant
+  async uploadBuffer(key, body, { contentType, contentEncoding, cacheControl } = {}) {
+    try {
+      await this.retry(`upload of ${key}`, () => this.client.send(
+        new PutObjectCommand({
+          Bucket: config.aws.s3BucketName,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          ContentEncoding: contentEncoding,
+          CacheControl: cacheControl
+        })
+      ));
+      logger.info(`Successfully uploaded ${key}`);
+    } catch (error) {
+      logger.error(`Failed to upload ${key}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async copyObject(sourceKey, destinationKey) {
+    const command = new CopyObjectCommand({
+      Bucket: config.aws.s3BucketName,
+      CopySource: [config.aws.s3BucketName, ...sourceKey.split('/')]
+        .map(encodeURIComponent)
+        .join('/'),
+      Key: destinationKey
+    });
+
+    try {
+      await this.retry(`copy of ${sourceKey}`, () => this.client.send(command));
+      logger.info(`Successfully copied ${sourceKey} to ${destinationKey}`);
+    } catch (error) {
+      logger.error(`Failed to copy ${sourceKey}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Streams an object to disk; returns false when there is no such object
+  async downloadFile(key, filePath) {
+    try {
+      await this.retry(`download of ${key}`, async () => {
+        const result = await this.client.send(new GetObjectCommand({
+          Bucket: config.aws.s3BucketName,
+          Key: key
+        }));
+        await pipeline(result.Body, fs.createWriteStream(filePath));
+      });
+      return true;
+    } catch (error) {
+      if (error.name === 'NoSuchKey') return false;
+      throw error;
+    }
+  }
+
+  async getJson(key) {
+    try {
+      const result = await this.retry(`read of ${key}`, () =>
+        this.client.send(new GetObjectCommand({
+          Bucket: config.aws.s3BucketName,
+          Key: key
+        }))
+      );
+
+      return JSON.parse(await result.Body.transformToString());
+    } catch (error) {
+      if (error.name === 'NoSuchKey') return null;
+      throw error;
+    }
+  }
+
+  async putJson(key, value, cacheControl = 'no-cache') {
+    await this.retry(`write of ${key}`, () =>
+      this.client.send(new PutObjectCommand({
+        Bucket: config.aws.s3BucketName,
+        Key: key,
+        Body: JSON.stringify(value),
+        ContentType: 'application/json',
+        CacheControl: cacheControl
+      }))
+    );
+  }
+
+  async getManifest(projectUri, deploymentId) {
+    return this.getJson(this.getManifestKey(projectUri, deploymentId));
+  }
+
+  async putManifest(manifest) {
+    await this.putJson(
+      this.getManifestKey(manifest.projectUri, manifest.deploymentId),
+      manifest
+    );
+  }
+
+  async getCurrentDeployment(projectUri) {
+    return this.getJson(this.getCurrentDeploymentKey(projectUri));
+  }
+
+  async getPreviewDeployment(projectUri, alias) {
+    return this.getJson(this.getPreviewDeploymentKey(projectUri, alias));
+  }
+
+  // Point the project at a fully uploaded deployment; the proxy serves
+  // whatever this object names, so it is only written once uploads finish
+  async setCurrentDeployment(projectUri, deploymentId) {
+    const pointer = await this.writePointer(
+      this.getCurrentDeploymentKey(projectUri),
+      { projectUri, deploymentId }
+    );
+
+    logger.info(`Project ${projectUri} now serves deployment ${deploymentId}`);
+    return pointer;
+  }
+
+  // Same as setCurrentDeployment for the <alias>--<project> preview host
+  async setPreviewDeployment(projectUri, alias, deploymentId) {
+    const pointer = await this.writePointer(
+      this.getPreviewDeploymentKey(projectUri, alias),
+      { projectUri, alias, deploymentId }
+    );
+
+    logger.info(`Preview ${alias} of ${projectUri} now serves deployment ${deploymentId}`);
+    return pointer;
+  }
+
+  async writePointer(key, fields) {
+    const previous = await this.getJson(key);
+    const pointer = {
+      ...fields,
+      previousDeploymentId: previous ? previous.deploymentId : null,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.putJson(key, pointer);
+    return pointer;
+  }
 }
 
-module.exports = new S3Service();
\ No newline at end of file
+module.exports = new S3Service();
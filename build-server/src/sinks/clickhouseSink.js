@@ -0,0 +1,75 @@
+const clickhouseService = require('../services/clickhouseService');
+const { EVENT_TYPES } = require('../utils/buildEvents');
+
+// build_metrics status for each event that ends a build
+const BUILD_RESULT_STATUS = {
+  [EVENT_TYPES.BUILD_SUCCEEDED]: 'SUCCESS',
+  [EVENT_TYPES.BUILD_FAILED]: 'FAILED',
+  [EVENT_TYPES.BUILD_CANCELLED]: 'CANCELLED'
+};
+
+// Maps build events onto the log_events and build_metrics tables
+class ClickHouseSink {
+  constructor() {
+    this.name = 'clickhouse';
+  }
+
+  async connect() {
+    await clickhouseService.initialize();
+  }
+
+  async publish(events) {
+    const logLines = events.filter(event => event.type === EVENT_TYPES.LOG_LINE);
+    if (logLines.length > 0) {
+      await clickhouseService.insertBuildLogs(
+        logLines[0].deploymentId,
+        logLines.map(event => ({
+          line: event.data.line,
+          level: event.data.level,
+          timestamp: new Date(event.timestamp),
+          sequence: event.data.sequence || 0,
+          stream: event.data.stream
+        }))
+      );
+    }
+
+    for (const event of events) {
+      await this.recordMetrics(event);
+    }
+  }
+
+  async recordMetrics(event) {
+    const endTime = new Date(event.timestamp);
+
+    if (event.type === EVENT_TYPES.PHASE_FINISHED) {
+      await clickhouseService.recordPhaseMetrics(event.deploymentId, event.projectUri, {
+        phase: event.data.phase,
+        startTime: new Date(endTime - event.data.durationMs),
+        endTime,
+        status: event.data.status,
+        exitCode: event.data.exitCode,
+        errorMessage: event.data.message,
+        cacheStatus: event.data.cacheStatus,
+        cacheKey: event.data.cacheKey,
+        cacheTimeSavedMs: event.data.cacheTimeSavedMs
+      });
+    } else if (BUILD_RESULT_STATUS[event.type]) {
+      // A build that reused earlier output is told apart from a real one
+      const status = event.data.cachedFrom ? 'CACHED' : BUILD_RESULT_STATUS[event.type];
+      await clickhouseService.recordBuildMetrics(
+        event.deploymentId,
+        event.projectUri,
+        new Date(endTime - event.data.durationMs),
+        endTime,
+        status,
+        event.data.message
+      );
+    }
+  }
+
+  async disconnect() {
+    await clickhouseService.disconnect();
+  }
+}
+
+module.exports = ClickHouseSink;
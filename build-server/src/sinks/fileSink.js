@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+
+// Appends events as NDJSON to a local file
+class FileSink {
+  constructor(filePath) {
+    this.name = 'file';
+    this.filePath = filePath;
+    this.stream = null;
+  }
+
+  async connect() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+    await new Promise((resolve, reject) => {
+      this.stream.once('open', resolve);
+      this.stream.once('error', reject);
+    });
+  }
+
+  async publish(events) {
+    const chunk = events.map(event => `${JSON.stringify(event)}\n`).join('');
+    if (!this.stream.write(chunk)) {
+      await new Promise(resolve => this.stream.once('drain', resolve));
+    }
+  }
+
+  async disconnect() {
+    if (!this.stream) return;
+    await new Promise(resolve => this.stream.end(resolve));
+    this.stream = null;
+  }
+}
+
+module.exports = FileSink;
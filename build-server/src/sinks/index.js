@@ -0,0 +1,28 @@
+const config = require('../config/config');
+const KafkaSink = require('./kafkaSink');
+const ClickHouseSink = require('./clickhouseSink');
+const StdoutSink = require('./stdoutSink');
+const FileSink = require('./fileSink');
+
+// A sink receives validated build events (see utils/buildEvents) in order:
+//   name                  identifies the sink in config and logs
+//   connect()             may throw; optional sinks are then skipped
+//   publish(events)       called with one or more events at a time
+//   disconnect()          flushes and releases resources
+const SINK_FACTORIES = {
+  kafka: () => new KafkaSink(),
+  clickhouse: () => new ClickHouseSink(),
+  stdout: () => new StdoutSink(),
+  file: () => new FileSink(config.sinks.filePath)
+};
+
+const createSink = (name) => {
+  const factory = SINK_FACTORIES[name];
+  return factory ? factory() : null;
+};
+
+module.exports = {
+  SINK_FACTORIES,
+  createSink,
+  StdoutSink
+};
@@ -0,0 +1,21 @@
+const kafkaService = require('../services/kafkaService');
+
+class KafkaSink {
+  constructor() {
+    this.name = 'kafka';
+  }
+
+  async connect() {
+    await kafkaService.connect();
+  }
+
+  async publish(events) {
+    await kafkaService.publishEvents(events);
+  }
+
+  async disconnect() {
+    await kafkaService.disconnect();
+  }
+}
+
+module.exports = KafkaSink;
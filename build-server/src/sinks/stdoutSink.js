@@ -0,0 +1,16 @@
+// One JSON event per line on stdout, for local runs and CI logs
+class StdoutSink {
+  constructor() {
+    this.name = 'stdout';
+  }
+
+  async connect() {}
+
+  async publish(events) {
+    process.stdout.write(events.map(event => `${JSON.stringify(event)}\n`).join(''));
+  }
+
+  async disconnect() {}
+}
+
+module.exports = StdoutSink;
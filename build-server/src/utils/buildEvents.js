@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const { ErrorHandler } = require('./errorHandler');
+
+// Bump when an event's shape changes incompatibly; consumers switch on it
+const EVENT_SCHEMA_VERSION = 1;
+
+const EVENT_TYPES = {
+  BUILD_STARTED: 'build.started',
+  PHASE_STARTED: 'phase.started',
+  PHASE_FINISHED: 'phase.finished',
+  LOG_LINE: 'log.line',
+  UPLOAD_PROGRESS: 'upload.progress',
+  BUILD_SUCCEEDED: 'build.succeeded',
+  BUILD_FAILED: 'build.failed',
+  BUILD_CANCELLED: 'build.cancelled'
+};
+
+const errorCodeSchema = {
+  type: 'string',
+  enum: Object.values(ErrorHandler.BUILD_ERROR_CODES)
+};
+
+const phaseSchema = { type: 'string', minLength: 1 };
+
+// On the events that end a build: the sequence of its last log line, so
+// consumers of the separate logs topic know when they have all of them
+const lastSequenceSchema = { type: 'integer', minimum: 0 };
+
+const DATA_SCHEMAS = {
+  [EVENT_TYPES.BUILD_STARTED]: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {}
+  },
+  [EVENT_TYPES.PHASE_STARTED]: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['phase'],
+    properties: {
+      phase: phaseSchema,
+      command: { type: 'string' }
+    }
+  },
+  [EVENT_TYPES.PHASE_FINISHED]: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['phase', 'status', 'durationMs'],
+    properties: {
+      phase: phaseSchema,
+      status: { type: 'string', enum: ['SUCCESS', 'FAILED', 'CANCELLED'] },
+      durationMs: { type: 'integer', minimum: 0 },
+      exitCode: { type: 'integer' },
+      errorCode: errorCodeSchema,
+      message: { type: 'string' },
+      // Set on the install phase when it ran against the dependency cache
+      cacheStatus: { type: 'string', enum: ['HIT', 'MISS'] },
+      cacheKey: { type: 'string' },
+      cacheTimeSavedMs: { type: 'integer', minimum: 0 }
+    }
+  },
+  [EVENT_TYPES.LOG_LINE]: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['stream', 'level', 'line'],
+    properties: {
+      // Shared by build output and build server messages, in emission order
+      sequence: { type: 'integer', minimum: 0 },
+      stream: { type: 'string', enum: ['stdout', 'stderr', 'system'] },
+      level: { type: 'string', enum: ['INFO', 'WARN', 'ERROR'] },
+      line: { type: 'string' }
+    }
+  },
+  [EVENT_TYPES.UPLOAD_PROGRESS]: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['path', 'uploaded', 'skipped', 'total'],
+    properties: {
+      path: { type: 'string' },
+      uploaded: { type: 'integer', minimum: 0 },
+      skipped: { type: 'integer', minimum: 0 },
+      total: { type: 'integer', minimum: 0 }
+    }
+  },
+  [EVENT_TYPES.BUILD_SUCCEEDED]: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['durationMs'],
+    properties: {
+      durationMs: { type: 'integer', minimum: 0 },
+      lastSequence: lastSequenceSchema,
+      // Set when the output was reused from an identical earlier build
+      cachedFrom: { type: 'string', minLength: 1 }
+    }
+  },
+  [EVENT_TYPES.BUILD_FAILED]: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['durationMs', 'errorCode', 'message'],
+    properties: {
+      durationMs: { type: 'integer', minimum: 0 },
+      lastSequence: lastSequenceSchema,
+      errorCode: errorCodeSchema,
+      message: { type: 'string' },
+      phase: phaseSchema
+    }
+  },
+  [EVENT_TYPES.BUILD_CANCELLED]: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['durationMs'],
+    properties: {
+      durationMs: { type: 'integer', minimum: 0 },
+      lastSequence: lastSequenceSchema,
+      // The phase that was running when the build was stopped
+      phase: phaseSchema
+    }
+  }
+};
+
+// Every event is this envelope, with `data` shaped by its type
+const buildEventSchema = {
+  $id: `https://deploy-ninja.dev/schemas/build-event.v${EVENT_SCHEMA_VERSION}.json`,
+  type: 'object',
+  additionalProperties: false,
+  required: ['schemaVersion', 'type', 'eventId', 'timestamp', 'deploymentId', 'projectUri', 'data'],
+  properties: {
+    schemaVersion: { const: EVENT_SCHEMA_VERSION },
+    type: { type: 'string', enum: Object.values(EVENT_TYPES) },
+    eventId: { type: 'string', minLength: 1 },
+    timestamp: { type: 'string', format: 'date-time' },
+    deploymentId: { type: 'string', minLength: 1 },
+    projectUri: { type: 'string', minLength: 1 },
+    data: { type: 'object' }
+  },
+  allOf: Object.entries(DATA_SCHEMAS).map(([type, dataSchema]) => ({
+    if: { properties: { type: { const: type } } },
+    then: { properties: { data: dataSchema } }
+  }))
+};
+
+const ajv = new Ajv({ allErrors: true, formats: { 'date-time': value => !Number.isNaN(Date.parse(value)) } });
+const validateBuildEvent = ajv.compile(buildEventSchema);
+
+const createBuildEvent = (type, { deploymentId, projectUri, timestamp = new Date() }, data = {}) => ({
+  schemaVersion: EVENT_SCHEMA_VERSION,
+  type,
+  eventId: crypto.randomUUID(),
+  timestamp: timestamp.toISOString(),
+  deploymentId,
+  projectUri,
+  data
+});
+
+// Returns a readable list of problems, or null when the event is valid
+const getBuildEventErrors = (event) => {
+  if (validateBuildEvent(event)) return null;
+  return validateBuildEvent.errors
+    .map(error => `${error.instancePath || '/'} ${error.message}`)
+    .join('; ');
+};
+
+module.exports = {
+  EVENT_SCHEMA_VERSION,
+  EVENT_TYPES,
+  buildEventSchema,
+  createBuildEvent,
+  getBuildEventErrors
+};
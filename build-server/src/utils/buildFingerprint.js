@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+
+// Bump when what goes into a build changes so old fingerprints never match
+const FINGERPRINT_VERSION = 2;
+
+// The full SHA of the checked-out commit, or null outside a git clone
+const resolveCommitSha = (sourceDir) => new Promise((resolve) => {
+  execFile('git', ['-C', sourceDir, 'rev-parse', 'HEAD'], (error, stdout) => {
+    resolve(error ? null : stdout.trim() || null);
+  });
+});
+
+// Everything that decides what a build outputs, including the Node major
+// it runs on, so a runtime upgrade rebuilds. Environment values are hashed,
+// never stored.
+const getBuildFingerprint = ({
+  commitSha,
+  nodeVersion,
+  installCommand,
+  buildCommand,
+  rootDirectory,
+  outputDirectory,
+  env
+}) => {
+  const sortedEnv = Object.keys(env).sort().map(key => [key, env[key]]);
+
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([
+      FINGERPRINT_VERSION,
+      commitSha,
+      process.versions.node.split('.')[0],
+      nodeVersion || '',
+      installCommand || '',
+      buildCommand || '',
+      rootDirectory,
+      outputDirectory,
+      sortedEnv
+    ]))
+    .digest('hex');
+};
+
+module.exports = {
+  resolveCommitSha,
+  getBuildFingerprint
+};
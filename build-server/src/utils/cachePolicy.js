@@ -0,0 +1,49 @@
+const path = require('path');
+
+const CACHE_CONTROL = {
+  IMMUTABLE: 'public, max-age=31536000, immutable',
+  NO_CACHE: 'no-cache',
+  REVALIDATE: 'public, max-age=0, must-revalidate'
+};
+
+const SERVICE_WORKER_PATTERN = /^(sw|service-worker|serviceworker)\.js$/i;
+const HTML_PATTERN = /\.html?$/i;
+
+// Content hashes as emitted by Vite, webpack, Rollup and friends, e.g.
+// `main.3f2a9c1b.js` or `index-BXk2a9Qz.js`: one token before the extension
+const FINGERPRINT_PATTERN = /[.-]([A-Za-z0-9_]{8,})\.[A-Za-z0-9]+$/;
+// Icon sizes such as `1024x1024` mix letters and digits without being hashes
+const DIMENSIONS_PATTERN = /^\d+x\d+$/;
+
+const isFingerprinted = (relativePath) => {
+  // Everything under _next/static is content-addressed by Next.js
+  if (relativePath.startsWith('_next/static/')) return true;
+
+  const match = path.posix.basename(relativePath).match(FINGERPRINT_PATTERN);
+  if (!match) return false;
+
+  // Words (`Inter-SemiBold.woff2`) and numbers (`report-20240131.pdf`) are
+  // names, not hashes; a hash has both letters and digits
+  const hash = match[1];
+  return /\d/.test(hash) && /[A-Za-z]/.test(hash) && !DIMENSIONS_PATTERN.test(hash);
+};
+
+const getCacheControl = (relativePath) => {
+  const fileName = path.posix.basename(relativePath);
+
+  if (HTML_PATTERN.test(fileName) || SERVICE_WORKER_PATTERN.test(fileName)) {
+    return CACHE_CONTROL.NO_CACHE;
+  }
+
+  if (isFingerprinted(relativePath)) {
+    return CACHE_CONTROL.IMMUTABLE;
+  }
+
+  return CACHE_CONTROL.REVALIDATE;
+};
+
+module.exports = {
+  CACHE_CONTROL,
+  isFingerprinted,
+  getCacheControl
+};
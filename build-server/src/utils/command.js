@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const { BuildError, ErrorHandler } = require('./errorHandler');
+
+const SHELL_OPERATORS = new Set(['&', '|', ';', '<', '>', '`', '$', '(', ')']);
+const ASSIGNMENT_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/s;
+
+// Split a command string into argv the way a POSIX shell would for simple
+// commands (quotes and backslash escapes), without ever invoking a shell.
+// Leading FOO=bar words become per-command environment variables.
+const parseCommand = (command, phase) => {
+  const args = [];
+  let current = '';
+  let inWord = false;
+  let quote = null;
+
+  const fail = (reason) => {
+    throw new BuildError(
+      `Invalid ${phase} command "${command}": ${reason}`,
+      ErrorHandler.BUILD_ERROR_CODES.VALIDATION_ERROR,
+      { phase, command }
+    );
+  };
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+
+    if (quote === "'") {
+      if (char === "'") quote = null;
+      else current += char;
+    } else if (quote === '"') {
+      if (char === '"') {
+        quote = null;
+      } else if (char === '\\' && i + 1 < command.length && '"\\$`'.includes(command[i + 1])) {
+        current += command[++i];
+      } else if (char === '$' || char === '`') {
+        fail('variable expansion and command substitution are not supported');
+      } else {
+        current += char;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      inWord = true;
+    } else if (char === '\\') {
+      if (i + 1 < command.length) current += command[++i];
+      inWord = true;
+    } else if (/\s/.test(char)) {
+      if (inWord) args.push(current);
+      current = '';
+      inWord = false;
+    } else if (SHELL_OPERATORS.has(char)) {
+      fail(`shell operator "${char}" is not supported; move the steps into a package.json script`);
+    } else {
+      current += char;
+      inWord = true;
+    }
+  }
+
+  if (quote) fail('unterminated quote');
+  if (inWord) args.push(current);
+
+  const env = {};
+  while (args.length > 0 && ASSIGNMENT_PATTERN.test(args[0])) {
+    const [, key, value] = args.shift().match(ASSIGNMENT_PATTERN);
+    env[key] = value;
+  }
+
+  if (args.length === 0) fail('no executable given');
+
+  return { file: args[0], args: args.slice(1), env };
+};
+
+// The build only sees the project's PROJECT_ENVIRONMENT_* variables and an
+// allowlist of host variables, never the build server's own credentials
+const createBuildEnvironment = (sourceEnv, projectVariables, allowlist) => {
+  const env = {};
+
+  for (const key of allowlist) {
+    if (sourceEnv[key] !== undefined) env[key] = sourceEnv[key];
+  }
+
+  return { ...env, ...projectVariables };
+};
+
+// Hands a directory tree to the user steps run as. Links are re-owned
+// themselves and never followed out of the tree.
+const chownTree = async (target, uid, gid) => {
+  let stats;
+  try {
+    stats = await fs.promises.lstat(target);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  await fs.promises.lchown(target, uid, gid);
+  if (!stats.isDirectory()) return;
+
+  for (const entry of await fs.promises.readdir(target)) {
+    await chownTree(path.join(target, entry), uid, gid);
+  }
+};
+
+module.exports = {
+  parseCommand,
+  createBuildEnvironment,
+  chownTree
+};
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const mime = require('mime-types');
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+// Files smaller than this rarely shrink enough to be worth a variant
+const MIN_COMPRESS_BYTES = 1024;
+
+const COMPRESSIBLE_TYPES = new Set([
+  'application/javascript',
+  'application/json',
+  'application/manifest+json',
+  'application/xml',
+  'application/wasm',
+  'image/svg+xml'
+]);
+
+// Ordered by preference when a client accepts several
+const ENCODINGS = [
+  {
+    name: 'br',
+    extension: '.br',
+    compress: (buffer) => brotliCompress(buffer, {
+      params: { [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY }
+    })
+  },
+  {
+    name: 'gzip',
+    extension: '.gz',
+    compress: (buffer) => gzip(buffer, { level: zlib.constants.Z_BEST_COMPRESSION })
+  }
+];
+
+const isCompressible = (filePath) => {
+  const contentType = mime.lookup(filePath);
+  return Boolean(contentType) &&
+    (contentType.startsWith('text/') || COMPRESSIBLE_TYPES.has(contentType));
+};
+
+// Returns the encoded variants that are actually smaller than the original
+const compressFile = async (filePath) => {
+  if (!isCompressible(filePath)) return [];
+
+  const contentType = mime.lookup(filePath);
+  const buffer = await fs.promises.readFile(filePath);
+  if (buffer.length < MIN_COMPRESS_BYTES) return [];
+
+  const variants = [];
+  for (const encoding of ENCODINGS) {
+    const body = await encoding.compress(buffer);
+    if (body.length < buffer.length) {
+      variants.push({
+        encoding: encoding.name,
+        extension: encoding.extension,
+        contentType,
+        body
+      });
+    }
+  }
+
+  return variants;
+};
+
+const getVariantExtension = (encodingName) =>
+  ENCODINGS.find((encoding) => encoding.name === encodingName)?.extension;
+
+module.exports = {
+  isCompressible,
+  compressFile,
+  getVariantExtension
+};
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Bump when the archive layout changes so old entries are never restored
+const CACHE_FORMAT_VERSION = 1;
+
+// Environment variables that point each package manager at its store
+const STORE_ENVIRONMENT = {
+  npm: 'npm_config_cache',
+  yarn: 'YARN_CACHE_FOLDER',
+  pnpm: 'npm_config_store_dir'
+};
+
+// The key changes whenever installing could produce something different:
+// another lockfile, package manager or Node release line. Without a
+// lockfile there is nothing to key on, so there is no cache.
+const getDependencyCacheKey = (workDir, { packageManager, lockfile }) => {
+  if (!packageManager || !lockfile) return null;
+
+  const nodeMajor = process.versions.node.split('.')[0];
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify([
+      CACHE_FORMAT_VERSION,
+      packageManager,
+      nodeMajor,
+      process.platform,
+      process.arch,
+      lockfile
+    ]))
+    .update(fs.readFileSync(path.join(workDir, lockfile)))
+    .digest('hex');
+
+  return `${packageManager}-node${nodeMajor}-${hash.slice(0, 40)}`;
+};
+
+// Install step variables for a store under storeDir; prefer-offline lets a
+// warm store answer without asking the registry
+const getStoreEnvironment = (packageManager, storeDir, warm) => {
+  const env = { [STORE_ENVIRONMENT[packageManager]]: storeDir };
+  if (warm && packageManager !== 'yarn') {
+    env.npm_config_prefer_offline = 'true';
+  }
+  return env;
+};
+
+const runTar = (args) => new Promise((resolve, reject) => {
+  let stderr = '';
+  const child = spawn('tar', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+
+  child.stderr.on('data', (data) => {
+    stderr = (stderr + data).slice(-4096);
+  });
+  child.on('error', reject);
+  child.on('close', (code) => {
+    if (code === 0) resolve();
+    else reject(new Error(`tar exited with code ${code}: ${stderr.trim()}`));
+  });
+});
+
+// Archives directory `name` inside `parentDir`
+const createArchive = (parentDir, name, archivePath) =>
+  runTar(['-czf', archivePath, '-C', parentDir, name]);
+
+const extractArchive = async (archivePath, parentDir) => {
+  await fs.promises.mkdir(parentDir, { recursive: true });
+  await runTar(['-xzf', archivePath, '-C', parentDir]);
+};
+
+module.exports = {
+  getDependencyCacheKey,
+  getStoreEnvironment,
+  createArchive,
+  extractArchive
+};
@@ -12,6 +12,7 @@ class BuildError extends Error {
     static BUILD_ERROR_CODES = {
       INITIALIZATION_FAILED: 'INIT_FAILED',
       BUILD_FAILED: 'BUILD_FAILED',
+      BUILD_CANCELLED: 'BUILD_CANCELLED',
       UPLOAD_FAILED: 'UPLOAD_FAILED',
       KAFKA_ERROR: 'KAFKA_ERROR',
       S3_ERROR: 'S3_ERROR',
@@ -20,7 +21,13 @@ class BuildError extends Error {
       UNKNOWN_ERROR: 'UNKNOWN_ERROR'
     };
   
-    static handleError(error, logger, kafkaService = null) {
+    // Build error code for any error; system errors (ENOENT, ...) are UNKNOWN_ERROR
+    static getErrorCode(error) {
+      const codes = Object.values(ErrorHandler.BUILD_ERROR_CODES);
+      return codes.includes(error?.code) ? error.code : ErrorHandler.BUILD_ERROR_CODES.UNKNOWN_ERROR;
+    }
+  
+    static handleError(error, logger, eventService = null) {
       const errorDetails = {
         timestamp: new Date().toISOString(),
         name: error.name,
@@ -32,10 +39,10 @@ class BuildError extends Error {
       // Log the error
       logger.error('Error occurred:', errorDetails);
   
-      // Publish to Kafka if service is available
-      if (kafkaService) {
-        kafkaService.publishLog(`Error: ${error.message}`).catch(err => {
-          logger.error('Failed to publish error to Kafka:', err);
+      // Publish to the build log if the event service is available
+      if (eventService) {
+        eventService.publishLog(`Error: ${error.message}`, 'ERROR').catch(err => {
+          logger.error('Failed to publish error to the build log:', err);
         });
       }
   
@@ -47,6 +54,15 @@ class BuildError extends Error {
   
       const shutdownPromises = [];
   
+      // Flush pending events and disconnect every event sink
+      if (services.events) {
+        shutdownPromises.push(
+          services.events.disconnect().catch(err => 
+            logger.error('Error disconnecting event sinks:', err)
+          )
+        );
+      }
+  
       // Disconnect Kafka
       if (services.kafka) {
         shutdownPromises.push(
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+
+// Checked in order, so meta-frameworks come before the tools they wrap.
+// `spa` frameworks route on the client, so unknown paths get index.html.
+const FRAMEWORKS = [
+  { name: 'nextjs', dependency: 'next', outputDirectory: 'out' },
+  { name: 'nuxt', dependency: 'nuxt', outputDirectory: '.output/public', buildScript: 'generate' },
+  { name: 'gatsby', dependency: 'gatsby', outputDirectory: 'public' },
+  { name: 'astro', dependency: 'astro', outputDirectory: 'dist' },
+  { name: 'sveltekit', dependency: '@sveltejs/kit', outputDirectory: 'build' },
+  { name: 'angular', dependency: '@angular/core', outputDirectory: 'dist', spa: true },
+  { name: 'create-react-app', dependency: 'react-scripts', outputDirectory: 'build', spa: true },
+  { name: 'vue-cli', dependency: '@vue/cli-service', outputDirectory: 'dist', spa: true },
+  { name: 'vite', dependency: 'vite', outputDirectory: 'dist', spa: true }
+];
+
+const LOCKFILES = [
+  { file: 'pnpm-lock.yaml', packageManager: 'pnpm' },
+  { file: 'yarn.lock', packageManager: 'yarn' },
+  { file: 'package-lock.json', packageManager: 'npm' },
+  { file: 'npm-shrinkwrap.json', packageManager: 'npm' }
+];
+
+const readJson = (filePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+const detectPackageManager = (workDir, packageJson) => {
+  const lockfile = LOCKFILES.find(({ file }) => fs.existsSync(path.join(workDir, file)));
+  if (lockfile) {
+    return { packageManager: lockfile.packageManager, lockfile: lockfile.file };
+  }
+
+  // Corepack-style "packageManager": "pnpm@9.1.0"
+  const declared = (packageJson.packageManager || '').split('@')[0];
+  if (['npm', 'yarn', 'pnpm'].includes(declared)) {
+    return { packageManager: declared, lockfile: null };
+  }
+
+  return { packageManager: 'npm', lockfile: null };
+};
+
+const getInstallCommand = (workDir, packageManager, lockfile) => {
+  if (packageManager === 'pnpm') {
+    return lockfile ? 'pnpm install --frozen-lockfile' : 'pnpm install';
+  }
+
+  if (packageManager === 'yarn') {
+    if (!lockfile) return 'yarn install';
+    // Yarn 2+ projects carry a .yarnrc.yml
+    return fs.existsSync(path.join(workDir, '.yarnrc.yml'))
+      ? 'yarn install --immutable'
+      : 'yarn install --frozen-lockfile';
+  }
+
+  return lockfile ? 'npm ci' : 'npm install';
+};
+
+// Angular writes to dist/<project>, with a browser/ subfolder for the
+// application builder (Angular 17+)
+const getAngularOutputDirectory = (workDir) => {
+  const angularJson = readJson(path.join(workDir, 'angular.json'));
+  const projects = angularJson?.projects || {};
+  const projectName = angularJson?.defaultProject || Object.keys(projects)[0];
+  const build = projects[projectName]?.architect?.build;
+  if (!build) return null;
+
+  const outputPath = build.options?.outputPath;
+  const isApplicationBuilder = (build.builder || '').endsWith(':application');
+
+  if (outputPath && typeof outputPath === 'object') {
+    return path.posix.join(outputPath.base, outputPath.browser ?? 'browser');
+  }
+
+  const basePath = outputPath || `dist/${projectName}`;
+  return isApplicationBuilder ? path.posix.join(basePath, 'browser') : basePath;
+};
+
+// Work out framework, package manager and default commands for workDir
+const detectProjectProfile = (workDir) => {
+  const packageJson = readJson(path.join(workDir, 'package.json'));
+
+  if (!packageJson) {
+    // Plain static site: publish the directory as-is
+    return {
+      framework: 'static',
+      packageManager: null,
+      lockfile: null,
+      installCommand: null,
+      buildCommand: null,
+      outputDirectory: '.',
+      spa: false
+    };
+  }
+
+  const dependencies = {
+    ...packageJson.dependencies,
+    ...packageJson.devDependencies
+  };
+  const scripts = packageJson.scripts || {};
+  const framework = FRAMEWORKS.find(({ dependency }) => dependencies[dependency]);
+  const { packageManager, lockfile } = detectPackageManager(workDir, packageJson);
+  const buildScript = framework?.buildScript && scripts[framework.buildScript]
+    ? framework.buildScript
+    : 'build';
+
+  let outputDirectory = framework ? framework.outputDirectory : 'dist';
+  if (framework?.name === 'angular') {
+    outputDirectory = getAngularOutputDirectory(workDir) || outputDirectory;
+  }
+
+  return {
+    framework: framework ? framework.name : 'node',
+    packageManager,
+    lockfile,
+    installCommand: getInstallCommand(workDir, packageManager, lockfile),
+    buildCommand: scripts[buildScript] ? `${packageManager} run ${buildScript}` : null,
+    outputDirectory,
+    spa: Boolean(framework?.spa)
+  };
+};
+
+module.exports = {
+  detectProjectProfile
+};
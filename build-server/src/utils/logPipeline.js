@@ -0,0 +1,107 @@
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+// Lines longer than this are emitted in pieces rather than buffered forever
+const MAX_LINE_LENGTH = 64 * 1024;
+
+// Turns raw stdout/stderr chunks into numbered whole lines and hands them
+// to `send` in ordered batches, flushed by size or after `flushIntervalMs`.
+// write() returns false once `highWaterMark` lines are waiting, and 'drain'
+// is emitted when the backlog has been worked off, like a writable stream.
+class LogPipeline extends EventEmitter {
+  constructor({ send, batchSize = 100, flushIntervalMs = 500, highWaterMark = 5000 }) {
+    super();
+    this.send = send;
+    this.batchSize = batchSize;
+    this.flushIntervalMs = flushIntervalMs;
+    this.highWaterMark = highWaterMark;
+
+    this.sequence = 0;
+    this.partials = new Map();
+    this.levels = new Map();
+    this.buffer = [];
+    this.inFlight = 0;
+    this.needsDrain = false;
+    this.timer = null;
+    this.pending = Promise.resolve();
+  }
+
+  write(stream, chunk, level = 'INFO') {
+    const lines = `${this.partials.get(stream) || ''}${chunk}`.split('\n');
+    let partial = lines.pop();
+
+    while (partial.length > MAX_LINE_LENGTH) {
+      lines.push(partial.slice(0, MAX_LINE_LENGTH));
+      partial = partial.slice(MAX_LINE_LENGTH);
+    }
+    this.partials.set(stream, partial);
+    this.levels.set(stream, level);
+
+    for (const line of lines) {
+      this.push(stream, line.replace(/\r$/, ''), level);
+    }
+
+    const writable = this.buffer.length + this.inFlight < this.highWaterMark;
+    if (!writable) this.needsDrain = true;
+    return writable;
+  }
+
+  // Emit whatever is left of a stream's last line once it closes
+  end(stream, level = this.levels.get(stream) || 'INFO') {
+    const partial = this.partials.get(stream);
+    this.partials.delete(stream);
+    if (partial) this.push(stream, partial.replace(/\r$/, ''), level);
+  }
+
+  push(stream, line, level) {
+    this.buffer.push({
+      sequence: this.sequence++,
+      stream,
+      level,
+      line,
+      timestamp: new Date()
+    });
+
+    if (this.buffer.length >= this.batchSize) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushIntervalMs);
+    }
+  }
+
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.buffer.length > 0) {
+      const batch = this.buffer.splice(0, this.batchSize);
+      this.inFlight += batch.length;
+
+      // Chained so batches always reach the sinks in sequence order
+      this.pending = this.pending
+        .then(() => this.send(batch))
+        .catch((error) => {
+          logger.error(`Failed to publish ${batch.length} log lines:`, error.message);
+        })
+        .finally(() => {
+          this.inFlight -= batch.length;
+          if (this.needsDrain && this.buffer.length + this.inFlight < this.highWaterMark) {
+            this.needsDrain = false;
+            this.emit('drain');
+          }
+        });
+    }
+
+    return this.pending;
+  }
+
+  // Flush partial lines and wait until every batch has been sent
+  async drain() {
+    for (const stream of [...this.partials.keys()]) {
+      this.end(stream);
+    }
+    await this.flush();
+  }
+}
+
+module.exports = LogPipeline;
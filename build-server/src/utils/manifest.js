@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { getCacheControl } = require('./cachePolicy');
+
+// v2 added cacheControl and pre-compressed encodings per file
+const MANIFEST_VERSION = 2;
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', (chunk) => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Hash every artifact so the next deployment can tell what changed
+const buildManifest = async (projectUri, deploymentId, artifacts) => {
+  const files = {};
+
+  for (const { filePath, relativePath } of artifacts) {
+    files[relativePath] = {
+      hash: await hashFile(filePath),
+      size: fs.statSync(filePath).size,
+      cacheControl: getCacheControl(relativePath),
+      encodings: []
+    };
+  }
+
+  return {
+    version: MANIFEST_VERSION,
+    projectUri,
+    deploymentId,
+    createdAt: new Date().toISOString(),
+    files
+  };
+};
+
+// Split the new manifest into files to upload, files that can be copied
+// from the previous deployment, and files the previous deployment had
+// that the new one drops
+const diffManifests = (previous, next) => {
+  const previousFiles = previous && previous.version === MANIFEST_VERSION
+    ? previous.files
+    : {};
+  const changed = [];
+  const unchanged = [];
+
+  for (const [relativePath, entry] of Object.entries(next.files)) {
+    const previousEntry = previousFiles[relativePath];
+    if (
+      previousEntry &&
+      previousEntry.hash === entry.hash &&
+      previousEntry.size === entry.size &&
+      previousEntry.cacheControl === entry.cacheControl
+    ) {
+      unchanged.push(relativePath);
+    } else {
+      changed.push(relativePath);
+    }
+  }
+
+  const deleted = Object.keys(previousFiles)
+    .filter((relativePath) => !next.files[relativePath]);
+
+  return { changed, unchanged, deleted };
+};
+
+module.exports = {
+  MANIFEST_VERSION,
+  hashFile,
+  buildManifest,
+  diffManifests
+};
@@ -0,0 +1,67 @@
+const logger = require('./logger');
+
+const RETRYABLE_ERROR_NAMES = new Set([
+  'SlowDown',
+  'RequestTimeout',
+  'RequestTimeoutException',
+  'InternalError',
+  'ServiceUnavailable',
+  'ThrottlingException',
+  'TimeoutError'
+]);
+
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND'
+]);
+
+const isRetryableError = (error) => {
+  if (!error) return false;
+  if (error.$retryable) return true;
+  if (RETRYABLE_ERROR_NAMES.has(error.name) || RETRYABLE_ERROR_CODES.has(error.code)) {
+    return true;
+  }
+
+  const statusCode = error.$metadata?.httpStatusCode;
+  return statusCode === 429 || statusCode >= 500;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Run fn, retrying retryable failures with exponential backoff and full jitter
+const withRetry = async (fn, options = {}) => {
+  const {
+    retries = 3,
+    baseDelayMs = 200,
+    maxDelayMs = 10000,
+    shouldRetry = isRetryableError,
+    label = 'operation'
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delay = Math.round(
+        Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt)
+      );
+      logger.warn(
+        `Retrying ${label} in ${delay}ms (attempt ${attempt + 2}/${retries + 1}): ${error.message}`
+      );
+      await sleep(delay);
+    }
+  }
+};
+
+module.exports = {
+  isRetryableError,
+  withRetry
+};
@@ -0,0 +1,42 @@
+// Runs async tasks with at most `concurrency` in flight. Once a task fails,
+// tasks that have not started yet are rejected with the same error.
+class UploadQueue {
+  constructor(concurrency) {
+    this.concurrency = Math.max(1, concurrency || 1);
+    this.running = 0;
+    this.pending = [];
+    this.error = null;
+  }
+
+  add(task) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const { task, resolve, reject } = this.pending.shift();
+
+      if (this.error) {
+        reject(this.error);
+        continue;
+      }
+
+      this.running++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, (error) => {
+          this.error = this.error || error;
+          reject(error);
+        })
+        .finally(() => {
+          this.running--;
+          this.next();
+        });
+    }
+  }
+}
+
+module.exports = UploadQueue;
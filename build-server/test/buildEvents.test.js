@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config/config');
+const kafkaService = require('../src/services/kafkaService');
+const { ErrorHandler } = require('../src/utils/errorHandler');
+const {
+  EVENT_SCHEMA_VERSION,
+  EVENT_TYPES,
+  createBuildEvent,
+  getBuildEventErrors
+} = require('../src/utils/buildEvents');
+
+const context = { deploymentId: 'd1', projectUri: 'site' };
+const { BUILD_ERROR_CODES } = ErrorHandler;
+const errorCode = Object.values(BUILD_ERROR_CODES)[0];
+
+// A valid and an invalid `data` for every event type
+const payloads = {
+  [EVENT_TYPES.BUILD_STARTED]: {
+    valid: {},
+    invalid: { unexpected: true }
+  },
+  [EVENT_TYPES.PHASE_STARTED]: {
+    valid: { phase: 'install', command: 'npm ci' },
+    invalid: { command: 'npm ci' }
+  },
+  [EVENT_TYPES.PHASE_FINISHED]: {
+    valid: {
+      phase: 'install',
+      status: 'SUCCESS',
+      durationMs: 1200,
+      exitCode: 0,
+      cacheStatus: 'HIT',
+      cacheKey: 'npm-node20-abc',
+      cacheTimeSavedMs: 800
+    },
+    invalid: { phase: 'install', status: 'DONE', durationMs: 1200 }
+  },
+  [EVENT_TYPES.LOG_LINE]: {
+    valid: { sequence: 3, stream: 'stdout', level: 'INFO', line: 'compiled' },
+    invalid: { stream: 'network', level: 'INFO', line: 'compiled' }
+  },
+  [EVENT_TYPES.UPLOAD_PROGRESS]: {
+    valid: { path: 'index.html', uploaded: 3, skipped: 1, total: 10 },
+    invalid: { path: 'index.html', uploaded: -1, skipped: 0, total: 10 }
+  },
+  [EVENT_TYPES.BUILD_SUCCEEDED]: {
+    valid: { durationMs: 5000, lastSequence: 41, cachedFrom: 'd0' },
+    invalid: { durationMs: 1.5 }
+  },
+  [EVENT_TYPES.BUILD_FAILED]: {
+    valid: { durationMs: 5000, lastSequence: 0, errorCode, message: 'Build failed', phase: 'build' },
+    invalid: { durationMs: 5000, errorCode: 'NOT_A_CODE', message: 'Build failed' }
+  },
+  [EVENT_TYPES.BUILD_CANCELLED]: {
+    valid: { durationMs: 5000, phase: 'build' },
+    invalid: { durationMs: 5000, lastSequence: -1 }
+  }
+};
+
+describe('build events', () => {
+  it('covers every event type', () => {
+    assert.deepStrictEqual(Object.keys(payloads).sort(), Object.values(EVENT_TYPES).sort());
+  });
+
+  for (const [type, { valid, invalid }] of Object.entries(payloads)) {
+    it(`accepts a valid ${type}`, () => {
+      const event = createBuildEvent(type, context, valid);
+      assert.strictEqual(getBuildEventErrors(event), null);
+      assert.strictEqual(event.schemaVersion, EVENT_SCHEMA_VERSION);
+    });
+
+    it(`rejects an invalid ${type}`, () => {
+      assert.notStrictEqual(getBuildEventErrors(createBuildEvent(type, context, invalid)), null);
+    });
+  }
+
+  it('rejects a broken envelope', () => {
+    const event = createBuildEvent(EVENT_TYPES.BUILD_STARTED, context);
+    assert.match(getBuildEventErrors({ ...event, type: 'build.exploded' }), /type/);
+    assert.match(getBuildEventErrors({ ...event, schemaVersion: EVENT_SCHEMA_VERSION + 1 }), /schemaVersion/);
+    assert.match(getBuildEventErrors({ ...event, timestamp: 'yesterday' }), /timestamp/);
+    assert.match(getBuildEventErrors({ ...event, deploymentId: '' }), /deploymentId/);
+  });
+
+  it('sends log lines and lifecycle events to their own topics, keyed by deployment', async () => {
+    const batches = [];
+    kafkaService.producer = { sendBatch: async batch => batches.push(batch) };
+    try {
+      await kafkaService.publishEvents([
+        createBuildEvent(EVENT_TYPES.BUILD_STARTED, context),
+        createBuildEvent(EVENT_TYPES.LOG_LINE, context, payloads[EVENT_TYPES.LOG_LINE].valid),
+        createBuildEvent(EVENT_TYPES.BUILD_SUCCEEDED, context, { durationMs: 10 })
+      ]);
+    } finally {
+      kafkaService.producer = null;
+    }
+
+    assert.strictEqual(batches.length, 1);
+    const byTopic = Object.fromEntries(batches[0].topicMessages.map(({ topic, messages }) => [
+      topic,
+      messages.map(message => [message.key, JSON.parse(message.value).type])
+    ]));
+    assert.deepStrictEqual(byTopic, {
+      [config.kafka.topics.logs]: [['d1', EVENT_TYPES.LOG_LINE]],
+      [config.kafka.topics.events]: [['d1', EVENT_TYPES.BUILD_STARTED], ['d1', EVENT_TYPES.BUILD_SUCCEEDED]]
+    });
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { CACHE_CONTROL, getCacheControl } = require('../src/utils/cachePolicy');
+
+describe('cache policy', () => {
+  it('makes content-hashed assets immutable', () => {
+    for (const file of [
+      'static/js/main.3f2a9c1b.js',
+      'assets/index-BXk2a9Qz.js',
+      'assets/vendor.8d1e4f7a9b.css',
+      'static/media/logo.a1b2c3d4e5f6.svg',
+      '_next/static/chunks/pages/index.js'
+    ]) {
+      assert.strictEqual(getCacheControl(file), CACHE_CONTROL.IMMUTABLE, file);
+    }
+  });
+
+  it('revalidates files whose names are stable', () => {
+    for (const file of [
+      'android-chrome-192x192.png',
+      'apple-touch-icon-180x180.png',
+      'icons/icon-1024x1024.png',
+      'fonts/Inter-SemiBold.woff2',
+      'docs/report-2024-final.pdf',
+      'docs/report-20240131.pdf',
+      'my-component.js',
+      'favicon.ico'
+    ]) {
+      assert.strictEqual(getCacheControl(file), CACHE_CONTROL.REVALIDATE, file);
+    }
+  });
+
+  it('never caches pages or service workers', () => {
+    for (const file of ['index.html', 'docs/page.a1b2c3d4.html', 'sw.js', 'service-worker.js']) {
+      assert.strictEqual(getCacheControl(file), CACHE_CONTROL.NO_CACHE, file);
+    }
+  });
+});
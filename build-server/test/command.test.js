@@ -0,0 +1,38 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chownTree } = require('../src/utils/command');
+
+const isRoot = process.getuid && process.getuid() === 0;
+
+describe('chownTree', { skip: !isRoot && 'changing owners needs root' }, () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'chown-tree-test-'));
+    await fs.promises.mkdir(path.join(tmpDir, 'checkout/node_modules/pkg'), { recursive: true });
+    await fs.promises.writeFile(path.join(tmpDir, 'checkout/node_modules/pkg/index.js'), '');
+    await fs.promises.writeFile(path.join(tmpDir, 'outside.txt'), '');
+    await fs.promises.symlink(path.join(tmpDir, 'outside.txt'), path.join(tmpDir, 'checkout/link'));
+  });
+
+  after(async () => {
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('hands the whole tree over without following links out of it', async () => {
+    await chownTree(path.join(tmpDir, 'checkout'), 10001, 10002);
+
+    for (const entry of ['checkout', 'checkout/node_modules/pkg', 'checkout/node_modules/pkg/index.js', 'checkout/link']) {
+      const stats = await fs.promises.lstat(path.join(tmpDir, entry));
+      assert.deepStrictEqual([stats.uid, stats.gid], [10001, 10002], entry);
+    }
+    assert.strictEqual((await fs.promises.stat(path.join(tmpDir, 'outside.txt'))).uid, 0);
+  });
+
+  it('ignores a directory that does not exist', async () => {
+    await chownTree(path.join(tmpDir, 'missing'), 10001, 10001);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const config = require('../src/config/config');
+const s3Service = require('../src/services/s3Service');
+const rollback = require('../src/scripts/rollback');
+
+describe('rollback', () => {
+  const originals = {
+    aws: { ...config.aws },
+    proxies: { ...config.proxies },
+    getManifest: s3Service.getManifest,
+    getCurrentDeployment: s3Service.getCurrentDeployment,
+    setCurrentDeployment: s3Service.setCurrentDeployment
+  };
+  const manifests = new Map([['complete', { deploymentId: 'complete' }]]);
+  let pointer;
+  let purges;
+  let proxy;
+
+  before(async () => {
+    // Stands in for a reverse proxy's purge endpoint
+    proxy = http.createServer((req, res) => {
+      purges.push({ method: req.method, url: req.url, authorization: req.headers.authorization });
+      res.end();
+    });
+    await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+
+    Object.assign(config.aws, { region: 'us-east-1', accessKeyId: 'id', secretAccessKey: 'secret', s3BucketName: 'sites' });
+    Object.assign(config.proxies, { purgeUrls: [`http://127.0.0.1:${proxy.address().port}`], purgeToken: 'purge-token' });
+    s3Service.getManifest = async (projectUri, deploymentId) => manifests.get(deploymentId) || null;
+    s3Service.getCurrentDeployment = async () => pointer;
+    s3Service.setCurrentDeployment = async (projectUri, deploymentId) => {
+      pointer = { projectUri, deploymentId, previousDeploymentId: pointer?.deploymentId ?? null };
+      return pointer;
+    };
+  });
+
+  after(async () => {
+    Object.assign(config.aws, originals.aws);
+    Object.assign(config.proxies, originals.proxies);
+    Object.assign(s3Service, {
+      getManifest: originals.getManifest,
+      getCurrentDeployment: originals.getCurrentDeployment,
+      setCurrentDeployment: originals.setCurrentDeployment
+    });
+    await new Promise(resolve => proxy.close(resolve));
+  });
+
+  beforeEach(() => {
+    pointer = { projectUri: 'site', deploymentId: 'live', previousDeploymentId: null };
+    purges = [];
+  });
+
+  it('refuses a deployment without a manifest', async () => {
+    await assert.rejects(rollback('site', 'partial'), /no complete output/);
+    assert.strictEqual(pointer.deploymentId, 'live');
+    assert.deepStrictEqual(purges, []);
+  });
+
+  it('moves the production pointer and purges the proxies', async () => {
+    const result = await rollback('site', 'complete');
+
+    assert.deepStrictEqual(result, { projectUri: 'site', deploymentId: 'complete', previousDeploymentId: 'live' });
+    assert.deepStrictEqual(purges, [{ method: 'POST', url: '/__edge/purge/site', authorization: 'Bearer purge-token' }]);
+  });
+});
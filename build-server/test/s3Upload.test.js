@@ -0,0 +1,220 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config/config');
+const s3Service = require('../src/services/s3Service');
+const UploadQueue = require('../src/utils/uploadQueue');
+const { withRetry } = require('../src/utils/retry');
+
+const readBody = async (body) => {
+  const chunks = [];
+  for await (const chunk of body) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+};
+
+const s3Error = (name, httpStatusCode) => Object.assign(new Error(name), {
+  name,
+  $metadata: { httpStatusCode }
+});
+
+// In-process stand-in for the S3 client: records every command and lets a
+// test fail chosen calls
+const createMockClient = (failures = {}) => {
+  const calls = [];
+  const objects = new Map();
+  const uploads = new Map();
+
+  return {
+    calls,
+    objects,
+    async send(command) {
+      const name = command.constructor.name;
+      const input = command.input;
+      calls.push({ name, input });
+
+      const attempt = calls.filter(call => call.name === name && call.input.PartNumber === input.PartNumber).length;
+      const fail = failures[name]?.(attempt, input);
+      if (fail) {
+        // The body is consumed as a real request would before failing
+        if (input.Body?.pipe) await readBody(input.Body);
+        throw fail;
+      }
+
+      switch (name) {
+        case 'PutObjectCommand':
+          objects.set(input.Key, await readBody(input.Body));
+          return {};
+        case 'CreateMultipartUploadCommand':
+          uploads.set('upload-1', new Map());
+          return { UploadId: 'upload-1' };
+        case 'UploadPartCommand':
+          uploads.get(input.UploadId).set(input.PartNumber, await readBody(input.Body));
+          return { ETag: `"etag-${input.PartNumber}"` };
+        case 'CompleteMultipartUploadCommand': {
+          const parts = uploads.get(input.UploadId);
+          objects.set(input.Key, Buffer.concat(input.MultipartUpload.Parts.map(part => parts.get(part.PartNumber))));
+          return {};
+        }
+        case 'AbortMultipartUploadCommand':
+          uploads.delete(input.UploadId);
+          return {};
+        default:
+          throw new Error(`Unexpected command ${name}`);
+      }
+    }
+  };
+};
+
+describe('S3 uploads', () => {
+  const originalClient = s3Service.client;
+  const originalUpload = { ...config.upload };
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 's3-upload-test-'));
+  });
+
+  after(async () => {
+    s3Service.client = originalClient;
+    Object.assign(config.upload, originalUpload);
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    Object.assign(config.upload, {
+      maxRetries: 3,
+      retryBaseDelayMs: 1,
+      multipartThresholdBytes: 1024,
+      partSizeBytes: 400
+    });
+  });
+
+  const writeFile = async (name, size) => {
+    const filePath = path.join(tmpDir, name);
+    const content = Buffer.from(Array.from({ length: size }, (_, index) => index % 251));
+    await fs.promises.writeFile(filePath, content);
+    return { filePath, content };
+  };
+
+  it('retries retryable errors with a fresh body', async () => {
+    const client = createMockClient({
+      PutObjectCommand: attempt => (attempt <= 2 ? s3Error('SlowDown', 503) : null)
+    });
+    s3Service.client = client;
+    const { filePath, content } = await writeFile('small.txt', 100);
+
+    await s3Service.uploadFile(filePath, '__outputs/site/d1', 'small.txt');
+
+    assert.strictEqual(client.calls.length, 3);
+    assert.deepStrictEqual(client.objects.get('__outputs/site/d1/small.txt'), content);
+  });
+
+  it('does not retry errors that cannot succeed', async () => {
+    const client = createMockClient({ PutObjectCommand: () => s3Error('AccessDenied', 403) });
+    s3Service.client = client;
+    const { filePath } = await writeFile('denied.txt', 10);
+
+    await assert.rejects(s3Service.uploadFile(filePath, 'prefix', 'denied.txt'), { name: 'AccessDenied' });
+    assert.strictEqual(client.calls.length, 1);
+  });
+
+  it('gives up after the configured number of retries', async () => {
+    const client = createMockClient({ PutObjectCommand: () => s3Error('InternalError', 500) });
+    s3Service.client = client;
+    const { filePath } = await writeFile('flaky.txt', 10);
+
+    await assert.rejects(s3Service.uploadFile(filePath, 'prefix', 'flaky.txt'), { name: 'InternalError' });
+    assert.strictEqual(client.calls.length, config.upload.maxRetries + 1);
+  });
+
+  it('uploads files above the threshold in parts, retrying a part on its own', async () => {
+    const client = createMockClient({
+      UploadPartCommand: (attempt, input) => (input.PartNumber === 2 && attempt === 1 ? s3Error('RequestTimeout', 400) : null)
+    });
+    s3Service.client = client;
+    const { filePath, content } = await writeFile('large.bin', 1500);
+
+    await s3Service.uploadFile(filePath, 'prefix', 'large.bin');
+
+    const names = client.calls.map(call => call.name);
+    assert.strictEqual(names.filter(name => name === 'PutObjectCommand').length, 0);
+    assert.deepStrictEqual(
+      client.calls.filter(call => call.name === 'UploadPartCommand').map(call => call.input.PartNumber),
+      [1, 2, 2, 3, 4]
+    );
+    const complete = client.calls.find(call => call.name === 'CompleteMultipartUploadCommand');
+    assert.deepStrictEqual(complete.input.MultipartUpload.Parts.map(part => part.ETag), [
+      '"etag-1"', '"etag-2"', '"etag-3"', '"etag-4"'
+    ]);
+    assert.deepStrictEqual(client.objects.get('prefix/large.bin'), content);
+  });
+
+  it('aborts a multipart upload when a part fails for good', async () => {
+    const client = createMockClient({
+      UploadPartCommand: (attempt, input) => (input.PartNumber === 3 ? s3Error('AccessDenied', 403) : null)
+    });
+    s3Service.client = client;
+    const { filePath } = await writeFile('aborted.bin', 1500);
+
+    await assert.rejects(s3Service.uploadFile(filePath, 'prefix', 'aborted.bin'), { name: 'AccessDenied' });
+    const names = client.calls.map(call => call.name);
+    assert.ok(names.includes('AbortMultipartUploadCommand'));
+    assert.ok(!names.includes('CompleteMultipartUploadCommand'));
+    assert.ok(!client.objects.has('prefix/aborted.bin'));
+  });
+});
+
+describe('upload queue', () => {
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  it('never runs more than its concurrency at once', async () => {
+    const queue = new UploadQueue(3);
+    let running = 0;
+    let maxRunning = 0;
+
+    const results = await Promise.all(Array.from({ length: 20 }, (_, index) => queue.add(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(2);
+      running--;
+      return index;
+    })));
+
+    assert.strictEqual(maxRunning, 3);
+    assert.deepStrictEqual(results, Array.from({ length: 20 }, (_, index) => index));
+  });
+
+  it('rejects tasks that have not started once one fails', async () => {
+    const queue = new UploadQueue(1);
+    const started = [];
+    const task = (name, fail) => () => {
+      started.push(name);
+      return fail ? Promise.reject(new Error(name)) : sleep(1);
+    };
+
+    const results = await Promise.allSettled([
+      queue.add(task('a')),
+      queue.add(task('b', true)),
+      queue.add(task('c')),
+      queue.add(task('d'))
+    ]);
+
+    assert.deepStrictEqual(started, ['a', 'b']);
+    assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'rejected', 'rejected']);
+    assert.strictEqual(results[3].reason.message, 'b');
+  });
+
+  it('backs off between retries', async () => {
+    const attempts = [];
+    const result = await withRetry(async (attempt) => {
+      attempts.push(attempt);
+      if (attempt < 2) throw Object.assign(new Error('reset'), { code: 'ECONNRESET' });
+      return 'done';
+    }, { retries: 3, baseDelayMs: 1 });
+
+    assert.strictEqual(result, 'done');
+    assert.deepStrictEqual(attempts, [0, 1, 2]);
+  });
+});
@@ -4,9 +4,85 @@ const path = require('path');
 const envPath = path.resolve(process.cwd(), '.env');
 const envConfig = dotenv.config({ path: envPath }).parsed || {};
 
+// A hop count, or a comma separated list of addresses, CIDR ranges and
+// express's names for them (loopback, linklocal, uniquelocal)
+const parseTrustProxy = (value = '') => {
+  const trimmed = value.trim();
+  if (trimmed === '' || trimmed === 'false') return false;
+  if (trimmed === 'true') return true;
+  if (/^\d+$/.test(trimmed)) return Number(trimmed);
+  return trimmed.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
 module.exports = {
   port: process.env.PORT || 8000,
-  basePath: envConfig.BASE_PATH,
+  basePath: process.env.BASE_PATH || envConfig.BASE_PATH,
+  pointerCacheTtlMs: parseInt(process.env.POINTER_CACHE_TTL_MS || '5000', 10),
+  pointerTimeoutMs: parseInt(process.env.POINTER_TIMEOUT_MS || '5000', 10),
+  // Production and preview pointers kept at most, one per host
+  pointerCacheSize: parseInt(process.env.POINTER_CACHE_SIZE || '10000', 10),
+  manifestCacheSize: parseInt(process.env.MANIFEST_CACHE_SIZE || '500', 10),
+  // Hosts under this domain name a project by subdomain; other hosts must
+  // be in the domain table. Unset, any host's first label is a project.
+  rootDomain: (process.env.ROOT_DOMAIN || envConfig.ROOT_DOMAIN || '').toLowerCase(),
+  // Read only credentials for the bucket behind basePath, which must be its
+  // REST endpoint. The bucket must not be publicly readable: access policies
+  // and the files they protect are in it. Unset, requests go unsigned and
+  // password or IP protected sites are refused.
+  s3: {
+    region: process.env.AWS_REGION || envConfig.AWS_REGION || 'us-east-1',
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID || envConfig.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || envConfig.AWS_SECRET_ACCESS_KEY,
+    sessionToken: process.env.AWS_SESSION_TOKEN || envConfig.AWS_SESSION_TOKEN
+  },
+  // The load balancers in front whose X-Forwarded-For/-Host/-Proto are
+  // honoured. req.ip, which IP allowlists and password throttling go by, is
+  // the nearest address none of them vouches for; 'true' is refused as it
+  // would take whatever X-Forwarded-For the client sent.
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  domains: {
+    // JSON file path or URL; defaults to __config/domains.json under basePath
+    source: process.env.DOMAINS_SOURCE || envConfig.DOMAINS_SOURCE,
+    reloadIntervalMs: parseInt(process.env.DOMAINS_RELOAD_INTERVAL_MS || '10000', 10)
+  },
+  edgeCache: {
+    enabled: process.env.EDGE_CACHE_ENABLED !== 'false',
+    maxEntries: parseInt(process.env.EDGE_CACHE_MAX_ENTRIES || '10000', 10),
+    maxBytes: parseInt(process.env.EDGE_CACHE_MAX_BYTES, 10) || 256 * 1024 * 1024, // 256MB
+    // Larger objects are streamed through without being kept
+    maxEntryBytes: parseInt(process.env.EDGE_CACHE_MAX_ENTRY_BYTES, 10) || 8 * 1024 * 1024, // 8MB
+    // For objects stored without Cache-Control or Expires
+    defaultTtlMs: parseInt(process.env.EDGE_CACHE_DEFAULT_TTL_MS || '60000', 10)
+  },
+  // Bearer token for POST /__edge/purge/<project>; purging is off without it
+  purgeToken: process.env.PURGE_TOKEN || envConfig.PURGE_TOKEN,
+  access: {
+    // Shared with the API (its PROXY_ACCESS_SECRET); signs share links and
+    // session cookies. Password protected sites are unreachable without it.
+    secret: process.env.ACCESS_SECRET || envConfig.ACCESS_SECRET,
+    cookieName: process.env.ACCESS_COOKIE_NAME || '__site_access',
+    sessionTtlMs: parseInt(process.env.ACCESS_SESSION_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000, // 7 days
+    // Wrong passwords allowed per client address and window
+    maxFailedAttempts: parseInt(process.env.ACCESS_MAX_FAILED_ATTEMPTS || '10', 10),
+    failureWindowMs: parseInt(process.env.ACCESS_FAILURE_WINDOW_MS, 10) || 15 * 60 * 1000 // 15 minutes
+  },
+  // Request events recorded to ClickHouse in batches
+  analytics: {
+    enabled: process.env.ANALYTICS_ENABLED !== 'false' &&
+      Boolean(process.env.CLICKHOUSE_HOST || envConfig.CLICKHOUSE_HOST),
+    batchSize: parseInt(process.env.ANALYTICS_BATCH_SIZE || '1000', 10),
+    flushIntervalMs: parseInt(process.env.ANALYTICS_FLUSH_INTERVAL_MS || '5000', 10),
+    // Events beyond this are dropped while ClickHouse is unreachable
+    maxQueueSize: parseInt(process.env.ANALYTICS_MAX_QUEUE_SIZE || '50000', 10),
+    // Only applies when the table is created
+    retentionDays: parseInt(process.env.ANALYTICS_RETENTION_DAYS || '90', 10)
+  },
+  clickhouse: {
+    host: process.env.CLICKHOUSE_HOST || envConfig.CLICKHOUSE_HOST,
+    database: process.env.CLICKHOUSE_DB || envConfig.CLICKHOUSE_DB,
+    username: process.env.CLICKHOUSE_USER || envConfig.CLICKHOUSE_USER,
+    password: process.env.CLICKHOUSE_PASSWORD || envConfig.CLICKHOUSE_PASSWORD
+  },
   cors: {
     origin: '*',
     methods: 'GET,HEAD,PUT,PATCH,POST,DELETE',
@@ -0,0 +1,586 @@
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const httpProxy = require('http-proxy');
+const cors = require('cors');
+const config = require('./config/config');
+const deploymentService = require('./services/deploymentService');
+const domainService = require('./services/domainService');
+const edgeCache = require('./services/edgeCache');
+const accessService = require('./services/accessService');
+const bucketService = require('./services/bucketService');
+const analyticsService = require('./services/analyticsService');
+const logger = require('./utils/logger');
+const { VARIANT_EXTENSIONS, selectEncoding } = require('./utils/contentEncoding');
+const { normalizePath, resolveRoute } = require('./utils/routeRules');
+const { renderDomainNotConfigured, renderAccessDenied, renderPasswordPage } = require('./utils/errorPages');
+const { isNotModified, parseRange, pickNotModifiedHeaders } = require('./utils/httpCache');
+const { signAccessToken, verifyAccessToken, parseCookies } = require('./utils/accessTokens');
+
+// Query parameter carrying a share link's token
+const SHARE_PARAMETER = '__share';
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// The user name of a basic auth prompt is ignored; sites have one password
+const parseBasicPassword = (header) => {
+  const match = /^Basic\s+([A-Za-z0-9+/=]+)$/i.exec(header || '');
+  if (!match) return null;
+
+  const credentials = Buffer.from(match[1], 'base64').toString('utf-8');
+  const index = credentials.indexOf(':');
+  return index === -1 ? null : credentials.slice(index + 1);
+};
+
+// Only paths on the same host, never //other.host
+const getSafeRedirectPath = value => (
+  typeof value === 'string' && /^\/(?![/\\])/.test(value) ? value : '/'
+);
+
+class ReverseProxyServer {
+  constructor() {
+    this.app = express();
+    this.proxy = httpProxy.createProxyServer({ changeOrigin: true });
+    this.server = null;
+  }
+
+  async initialize() {
+    if (!config.basePath) {
+      throw new Error('Missing required configuration: basePath (BASE_PATH)');
+    }
+    if (config.trustProxy === true) {
+      throw new Error('TRUST_PROXY=true lets clients pick their own address; set the number of proxies in front or their addresses');
+    }
+
+    await domainService.initialize();
+    await analyticsService.initialize();
+    this.app.set('trust proxy', config.trustProxy);
+    this.setupProxyEvents();
+    this.setupRoutes();
+
+    this.server = this.app.listen(config.port, () => {
+      logger.info(`Reverse proxy running on port ${config.port}`);
+    });
+  }
+
+  setupRoutes() {
+    this.app.use(cors(config.cors));
+
+    // Matched before any site, whatever the Host
+    this.app.post('/__edge/purge/:projectUri', (req, res) => this.purge(req, res));
+
+    this.app.use((req, res, next) => {
+      analyticsService.track(req, res);
+      next();
+    });
+    this.app.post('/__edge/login', express.urlencoded({ extended: false, limit: '4kb' }), (req, res, next) => {
+      this.login(req, res).catch(next);
+    });
+
+    this.app.use(async (req, res, next) => {
+      try {
+        const site = this.getSite(req.hostname);
+        if (!site) {
+          return res.status(404).type('html').send(renderDomainNotConfigured(req.hostname));
+        }
+        res.locals.site = site;
+        if (site.redirectTo) {
+          return res.redirect(301, `${req.protocol}://${site.redirectTo}${req.originalUrl}`);
+        }
+
+        // Nothing is fetched for a request the project's policy refuses
+        if (await this.enforceAccess(req, res, site)) return;
+
+        const { projectUri, previewAlias } = site;
+        const deploymentId = previewAlias
+          ? await deploymentService.getPreviewDeploymentId(projectUri, previewAlias)
+          : await deploymentService.getCurrentDeploymentId(projectUri);
+        if (!deploymentId) {
+          return res.status(404).send(previewAlias ? 'Preview not found' : 'Project not found');
+        }
+        res.locals.deploymentId = deploymentId;
+
+        // Redirects are answered here without touching the bucket
+        if (await this.resolveObjectPath(req, res, projectUri, deploymentId)) return;
+
+        const target = deploymentService.getDeploymentTarget(projectUri, deploymentId);
+        this.proxyRequest(req, res, projectUri, target);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.use((error, req, res, next) => {
+      logger.error(`Request failed for ${req.hostname}${req.url}:`, error.message);
+      if (res.headersSent) return next(error);
+      res.status(502).send('Bad gateway');
+    });
+  }
+
+  // Applies the project's access policy. Returns true when the request has
+  // been answered instead: refused, asked for a password, or redirected
+  // once a share link was exchanged for a session cookie.
+  async enforceAccess(req, res, { projectUri, previewAlias }) {
+    const policy = await accessService.getPolicy(projectUri);
+    if (!accessService.appliesTo(policy, previewAlias)) return false;
+
+    res.locals.private = true;
+    if (!this.canServePrivately(projectUri, res)) return true;
+    // req.ip only looks past the proxies config.trustProxy names
+    if (!accessService.isAllowedAddress(policy, req.ip)) {
+      res.status(403).type('html').send(renderAccessDenied('This site is not available from your network.'));
+      return true;
+    }
+    if (!policy.password) return false;
+    if (!this.canSignSessions(projectUri, res)) return true;
+
+    const claims = { projectUri, passwordHash: policy.password.hash };
+    const cookies = parseCookies(req.headers.cookie);
+    const session = verifyAccessToken(config.access.secret, cookies[config.access.cookieName], {
+      purpose: 'session',
+      ...claims
+    });
+
+    const url = new URL(req.originalUrl, 'http://localhost');
+    const shareToken = url.searchParams.get(SHARE_PARAMETER);
+    if (shareToken !== null) {
+      const expiresAt = verifyAccessToken(config.access.secret, shareToken, { purpose: 'share', ...claims });
+      if (!expiresAt && !session) {
+        res.status(403).type('html').send(renderAccessDenied('This link is invalid or has expired.'));
+        return true;
+      }
+      if (expiresAt) this.startSession(req, res, projectUri, policy, expiresAt * 1000);
+
+      // Keeps the token out of the address bar and the bucket's logs
+      url.searchParams.delete(SHARE_PARAMETER);
+      res.redirect(302, `${url.pathname}${url.search}`);
+      return true;
+    }
+
+    if (session) {
+      this.stripCredentials(req);
+      return false;
+    }
+
+    if (policy.password.mode === 'page') {
+      res.status(401).type('html').send(renderPasswordPage({ next: req.originalUrl }));
+      return true;
+    }
+
+    if (accessService.isThrottled(req.ip)) {
+      res.status(429).type('html').send(renderAccessDenied('Too many attempts. Try again later.'));
+      return true;
+    }
+
+    const password = parseBasicPassword(req.headers.authorization);
+    if (password !== null && await accessService.checkPassword(policy, password, req.ip)) {
+      this.startSession(req, res, projectUri, policy);
+      this.stripCredentials(req);
+      return false;
+    }
+
+    res.set('WWW-Authenticate', `Basic realm="${projectUri}", charset="UTF-8"`);
+    res.status(401).type('html').send(renderAccessDenied('This site is password protected.'));
+    return true;
+  }
+
+  // Answers the password page's form
+  async login(req, res) {
+    const next = getSafeRedirectPath(req.body?.next);
+    const site = this.getSite(req.hostname);
+    const policy = site && !site.redirectTo ? await accessService.getPolicy(site.projectUri) : null;
+    if (!accessService.appliesTo(policy, site?.previewAlias) || !policy.password) {
+      return res.redirect(303, next);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    if (!this.canServePrivately(site.projectUri, res)) return;
+    if (!accessService.isAllowedAddress(policy, req.ip)) {
+      return res.status(403).type('html').send(renderAccessDenied('This site is not available from your network.'));
+    }
+    if (!this.canSignSessions(site.projectUri, res)) return;
+
+    if (accessService.isThrottled(req.ip)) {
+      return res.status(429).type('html').send(renderPasswordPage({
+        next,
+        error: 'Too many attempts. Try again later.'
+      }));
+    }
+    if (!await accessService.checkPassword(policy, String(req.body?.password || ''), req.ip)) {
+      return res.status(401).type('html').send(renderPasswordPage({ next, error: 'Incorrect password.' }));
+    }
+
+    this.startSession(req, res, site.projectUri, policy);
+    res.redirect(303, next);
+  }
+
+  // Password protection fails closed when sessions cannot be signed
+  canSignSessions(projectUri, res) {
+    if (config.access.secret) return true;
+
+    logger.error(`Cannot check the password of ${projectUri}: ACCESS_SECRET is not set`);
+    res.status(503).send('Service unavailable');
+    return false;
+  }
+
+  // A policy read without credentials sits in a public bucket next to the
+  // files it is meant to protect, which anyone can fetch from there
+  canServePrivately(projectUri, res) {
+    if (bucketService.isSigning()) return true;
+
+    logger.error(`Refusing to serve ${projectUri}: protected sites need a private bucket and AWS credentials`);
+    res.status(503).send('Service unavailable');
+    return false;
+  }
+
+  // Sessions end with the share link that started them, if sooner
+  startSession(req, res, projectUri, policy, until = Infinity) {
+    const expiresAtMs = Math.min(until, Date.now() + config.access.sessionTtlMs);
+    const expiresAt = Math.floor(expiresAtMs / 1000);
+    const token = signAccessToken(config.access.secret, {
+      purpose: 'session',
+      projectUri,
+      passwordHash: policy.password.hash,
+      expiresAt
+    });
+
+    res.append('Set-Cookie', [
+      `${config.access.cookieName}=${token}`,
+      'Path=/',
+      `Max-Age=${Math.max(0, expiresAt - Math.floor(Date.now() / 1000))}`,
+      'HttpOnly',
+      'SameSite=Lax',
+      ...(req.secure ? ['Secure'] : [])
+    ].join('; '));
+  }
+
+  // The bucket has no use for the site's credentials, and rejects requests
+  // with an Authorization it cannot verify
+  stripCredentials(req) {
+    delete req.headers.authorization;
+
+    const cookies = (req.headers.cookie || '').split(';')
+      .filter(part => part.trim().split('=')[0] !== config.access.cookieName);
+    if (cookies.length > 0) {
+      req.headers.cookie = cookies.join(';').trim();
+    } else {
+      delete req.headers.cookie;
+    }
+  }
+
+  // Map the request onto the object to fetch using the deployment's
+  // routing rules, then switch text assets to their best pre-compressed
+  // variant. Returns true when the response has already been sent.
+  async resolveObjectPath(req, res, projectUri, deploymentId) {
+    const [rawPath, ...query] = req.url.split('?');
+    const search = query.length > 0 ? `?${query.join('?')}` : '';
+
+    let pathname = null;
+    try {
+      pathname = normalizePath(decodeURIComponent(rawPath));
+    } catch (error) {
+      // Malformed escapes, answered below like any path that is refused
+    }
+    if (pathname === null) {
+      res.status(400).send('Bad request');
+      return true;
+    }
+
+    // Deployments without a manifest only get directory indexes
+    const manifest = await deploymentService.getManifest(projectUri, deploymentId);
+    if (!manifest) {
+      req.url = `${rawPath.endsWith('/') ? `${rawPath}index.html` : rawPath}${search}`;
+      return false;
+    }
+
+    const route = resolveRoute(manifest, pathname, {
+      search,
+      acceptsHtml: (req.headers.accept || '').includes('text/html')
+    });
+    if (!route) {
+      res.status(400).send('Bad request');
+      return true;
+    }
+    if (route.redirect) {
+      res.redirect(route.redirect.status, route.redirect.location);
+      return true;
+    }
+
+    res.locals.status = route.status;
+    res.locals.routeHeaders = route.headers;
+
+    const { objectPath } = route;
+    const objectUrlPath = `/${objectPath.split('/').map(encodeURIComponent).join('/')}`;
+    req.url = `${objectUrlPath}${search}`;
+
+    const encodings = manifest.files[objectPath]?.encodings || [];
+    if (encodings.length === 0) return false;
+
+    res.locals.varyEncoding = true;
+    const encoding = selectEncoding(req.headers['accept-encoding'], encodings);
+    if (encoding) {
+      res.locals.contentEncoding = encoding;
+      req.url = `${objectUrlPath}${VARIANT_EXTENSIONS[encoding]}${search}`;
+    }
+    return false;
+  }
+
+  // GET and HEAD are answered from the edge cache when it has the object;
+  // plain GETs fill it. Range requests that miss go straight through.
+  proxyRequest(req, res, projectUri, target) {
+    const isRead = req.method === 'GET' || req.method === 'HEAD';
+    if (!edgeCache.isEnabled() || !isRead) {
+      return this.proxy.web(req, res, { target });
+    }
+
+    const cacheKey = `${target}${req.url}`;
+    const cached = edgeCache.lookup(cacheKey);
+    if (cached?.fresh) {
+      return this.sendCached(req, res, cached.entry, 'HIT');
+    }
+
+    if (req.method !== 'GET' || (!cached && req.headers.range)) {
+      return this.proxy.web(req, res, { target });
+    }
+
+    // Fetch the whole object; the client's own conditions and range are
+    // answered from what gets cached
+    const clientHeaders = { ...req.headers };
+    delete req.headers.range;
+    delete req.headers['if-range'];
+    delete req.headers['if-modified-since'];
+    if (cached) {
+      req.headers['if-none-match'] = cached.entry.headers.etag;
+    } else {
+      delete req.headers['if-none-match'];
+    }
+
+    res.locals.edge = { cacheKey, projectUri, clientHeaders, stale: cached?.entry || null };
+    this.proxy.web(req, res, { target, selfHandleResponse: true });
+  }
+
+  // Status and headers as the client gets them: routing rules and the
+  // chosen encoding on top of what the bucket sent
+  getResponseHead(res, statusCode, upstreamHeaders) {
+    const headers = { ...upstreamHeaders };
+    let status = statusCode;
+
+    // The custom 404 page is fetched like any object but is not a success
+    if (res.locals.status && status < 300) {
+      status = res.locals.status;
+    }
+
+    for (const [key, value] of Object.entries(res.locals.routeHeaders || {})) {
+      headers[key.toLowerCase()] = value;
+    }
+
+    if (res.locals.contentEncoding && status < 300) {
+      headers['content-encoding'] = res.locals.contentEncoding;
+    }
+
+    // Protected content must stay out of shared caches in front
+    if (res.locals.private) {
+      headers['cache-control'] = 'private, no-cache';
+    }
+
+    if (res.locals.varyEncoding) {
+      headers.vary = headers.vary ? `${headers.vary}, Accept-Encoding` : 'Accept-Encoding';
+    }
+
+    return { status, headers };
+  }
+
+  // `requestHeaders` are the client's, before any were rewritten for upstream
+  sendCached(req, res, entry, cacheStatus, requestHeaders = req.headers) {
+    const { status, headers } = this.getResponseHead(res, entry.statusCode, entry.headers);
+    headers['x-cache'] = cacheStatus;
+    res.locals.cacheStatus = cacheStatus;
+    headers.age = String(Math.floor((Date.now() - entry.storedAt) / 1000));
+
+    if (status === 200 && isNotModified(requestHeaders, headers)) {
+      res.writeHead(304, { ...pickNotModifiedHeaders(headers), 'x-cache': cacheStatus });
+      return res.end();
+    }
+
+    let body = entry.body;
+    let responseStatus = status;
+    if (status === 200) {
+      headers['accept-ranges'] = 'bytes';
+      const range = parseRange(requestHeaders, headers, body.length);
+      if (range === 'unsatisfiable') {
+        res.writeHead(416, { 'content-range': `bytes */${body.length}`, 'x-cache': cacheStatus });
+        return res.end();
+      }
+      if (range) {
+        headers['content-range'] = `bytes ${range.start}-${range.end}/${body.length}`;
+        body = body.subarray(range.start, range.end + 1);
+        responseStatus = 206;
+      }
+    }
+
+    headers['content-length'] = String(body.length);
+    res.writeHead(responseStatus, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  // Buffers a self-handled response into the cache, falling back to
+  // streaming once it turns out not to be storable
+  handleEdgeResponse(proxyRes, req, res) {
+    const { cacheKey, projectUri, clientHeaders, stale } = res.locals.edge;
+
+    if (proxyRes.statusCode === 304 && stale) {
+      proxyRes.resume();
+      const entry = edgeCache.refresh(cacheKey, stale, proxyRes.headers);
+      return this.sendCached(req, res, entry, 'REVALIDATED', clientHeaders);
+    }
+
+    if (stale) edgeCache.delete(cacheKey);
+
+    const streamThrough = (chunks = []) => {
+      const { status, headers } = this.getResponseHead(res, proxyRes.statusCode, proxyRes.headers);
+      res.locals.cacheStatus = 'MISS';
+      res.writeHead(status, { ...headers, 'x-cache': 'MISS' });
+      for (const chunk of chunks) res.write(chunk);
+      proxyRes.pipe(res);
+    };
+
+    if (!edgeCache.isStorable(proxyRes.statusCode, proxyRes.headers)) {
+      return streamThrough();
+    }
+
+    const chunks = [];
+    let size = 0;
+    const collect = (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size > config.edgeCache.maxEntryBytes) {
+        proxyRes.off('data', collect);
+        proxyRes.off('end', finish);
+        streamThrough(chunks);
+      }
+    };
+    const finish = () => {
+      const entry = edgeCache.store(cacheKey, projectUri, {
+        statusCode: proxyRes.statusCode,
+        headers: proxyRes.headers,
+        body: Buffer.concat(chunks)
+      });
+      this.sendCached(req, res, entry, 'MISS', clientHeaders);
+    };
+
+    proxyRes.on('data', collect);
+    proxyRes.on('end', finish);
+    proxyRes.on('error', (error) => {
+      logger.error(`Upstream response failed for ${req.hostname}${req.url}:`, error.message);
+      res.destroy(error);
+    });
+  }
+
+  // Drops a project's cached responses, pointers and access policy, so the
+  // next request sees the deployment or policy that just went live
+  purge(req, res) {
+    if (!config.purgeToken) {
+      return res.status(404).json({ error: 'Purging is not enabled' });
+    }
+    if (!safeEqual(req.get('authorization') || '', `Bearer ${config.purgeToken}`)) {
+      return res.status(401).json({ error: 'Invalid purge token' });
+    }
+
+    const { projectUri } = req.params;
+    deploymentService.invalidate(projectUri);
+    accessService.invalidate(projectUri);
+    const purged = edgeCache.purge(projectUri);
+    res.json({ projectUri, purged });
+  }
+
+  setupProxyEvents() {
+    this.proxy.on('proxyReq', (proxyReq, req) => {
+      try {
+        bucketService.signProxyRequest(proxyReq, req.method);
+      } catch (error) {
+        proxyReq.destroy(error);
+      }
+    });
+
+    this.proxy.on('proxyRes', (proxyRes, req, res) => {
+      if (res.locals.edge) {
+        return this.handleEdgeResponse(proxyRes, req, res);
+      }
+
+      const { status, headers } = this.getResponseHead(res, proxyRes.statusCode, proxyRes.headers);
+      if (status !== proxyRes.statusCode) {
+        proxyRes.statusCode = status;
+        proxyRes.statusMessage = http.STATUS_CODES[status];
+      }
+      proxyRes.headers = headers;
+    });
+
+    this.proxy.on('error', (error, req, res) => {
+      logger.error(`Proxy error for ${req.hostname}${req.url}:`, error.message);
+      if (!res.headersSent) {
+        res.writeHead(502, { 'Content-Type': 'text/plain' });
+      }
+      res.end('Bad gateway');
+    });
+  }
+
+  // Custom domains come from the routing table. Otherwise
+  // <project>.<domain> is production and <alias>--<project>.<domain> is the
+  // preview of a branch or pull request.
+  getSite(hostname) {
+    const mapped = domainService.resolve(hostname);
+    if (mapped) {
+      return { projectUri: mapped.projectUri, previewAlias: null, redirectTo: mapped.redirectTo };
+    }
+
+    const host = (hostname || '').toLowerCase();
+    if (config.rootDomain && !host.endsWith(`.${config.rootDomain}`)) return null;
+
+    const labels = host.split('.');
+    if (labels.length < 2 || !labels[0]) return null;
+    if (config.rootDomain && labels.length !== config.rootDomain.split('.').length + 1) return null;
+
+    const [previewAlias, projectUri] = labels[0].includes('--')
+      ? labels[0].split('--', 2)
+      : [null, labels[0]];
+    if (!projectUri || previewAlias === '') return null;
+    return { projectUri, previewAlias };
+  }
+
+  async shutdown() {
+    if (!this.server) return;
+    await new Promise((resolve) => this.server.close(resolve));
+    this.proxy.close();
+    domainService.shutdown();
+    await analyticsService.shutdown();
+    logger.info('Reverse proxy stopped');
+  }
+}
+
+// Start the reverse proxy
+if (require.main === module) {
+  const proxyServer = new ReverseProxyServer();
+
+  proxyServer.initialize().catch((error) => {
+    logger.error('Fatal error:', error);
+    process.exit(1);
+  });
+
+  process.on('SIGTERM', async () => {
+    logger.info('Received SIGTERM');
+    await proxyServer.shutdown();
+    process.exit(0);
+  });
+
+  process.on('SIGINT', async () => {
+    logger.info('Received SIGINT');
+    await proxyServer.shutdown();
+    process.exit(0);
+  });
+}
+
+module.exports = ReverseProxyServer;
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const net = require('net');
+const config = require('../config/config');
+const bucketService = require('./bucketService');
+const logger = require('../utils/logger');
+const LruCache = require('../utils/lruCache');
+const { verifyPassword } = require('../utils/accessTokens');
+
+// '::ffff:10.0.0.1' is how a dual-stack socket reports an IPv4 client
+const normalizeAddress = address => (address || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+
+// Throws on anything malformed; a policy the proxy cannot read must not
+// fail open
+const compilePolicy = (projectUri, document) => {
+  if (!document || typeof document !== 'object') {
+    throw new Error(`Access policy of ${projectUri} must be an object`);
+  }
+
+  let allowlist = null;
+  if (Array.isArray(document.ipAllowlist) && document.ipAllowlist.length > 0) {
+    allowlist = new net.BlockList();
+    for (const entry of document.ipAllowlist) {
+      const [address, prefix] = String(entry).split('/');
+      const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+      if (prefix === undefined) {
+        allowlist.addAddress(address, family);
+      } else {
+        allowlist.addSubnet(address, Number(prefix), family);
+      }
+    }
+  }
+
+  const password = document.password || null;
+  if (password && (!password.hash || !['basic', 'page'].includes(password.mode))) {
+    throw new Error(`Access policy of ${projectUri} has an invalid password`);
+  }
+
+  return {
+    scope: document.scope === 'previews' ? 'previews' : 'all',
+    password,
+    allowlist
+  };
+};
+
+// Per-project access policies the API publishes to
+// __config/access/<project>.json, cached like deployment pointers
+class AccessService {
+  constructor() {
+    // One entry per project, public ones included, so bounded like pointers
+    this.policies = new LruCache({ maxEntries: config.pointerCacheSize, maxBytes: config.pointerCacheSize });
+    // Password checks are deliberately slow; remember the ones that passed
+    this.verified = new LruCache({ maxEntries: 1000, maxBytes: 1000 });
+    // Failed password attempts per client address
+    this.failures = new LruCache({ maxEntries: 10000, maxBytes: 10000 });
+  }
+
+  getPolicyUrl(projectUri) {
+    return `${config.basePath.replace(/\/+$/, '')}/__config/access/${projectUri}.json`;
+  }
+
+  // The project's policy, or null when its sites are public
+  async getPolicy(projectUri) {
+    const cached = this.policies.get(projectUri);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.policy;
+    }
+
+    const response = await bucketService.getJson(this.getPolicyUrl(projectUri));
+
+    // S3 answers 403 for missing keys when the bucket cannot be listed
+    let policy = null;
+    if (response.status === 200) {
+      policy = compilePolicy(projectUri, response.data);
+    } else if (response.status !== 404 && response.status !== 403) {
+      throw new Error(`Unexpected access policy response ${response.status} for ${projectUri}`);
+    }
+
+    this.policies.set(projectUri, {
+      policy,
+      expiresAt: Date.now() + config.pointerCacheTtlMs
+    }, 1);
+    return policy;
+  }
+
+  // Whether the policy applies to the production site or a preview of it
+  appliesTo(policy, previewAlias) {
+    return Boolean(policy) && (policy.scope === 'all' || Boolean(previewAlias));
+  }
+
+  isAllowedAddress(policy, address) {
+    if (!policy.allowlist) return true;
+
+    const normalized = normalizeAddress(address);
+    const family = net.isIPv6(normalized) ? 'ipv6' : 'ipv4';
+    return net.isIP(normalized) !== 0 && policy.allowlist.check(normalized, family);
+  }
+
+  isThrottled(address) {
+    const failures = this.failures.get(address);
+    return Boolean(failures) && failures.count >= config.access.maxFailedAttempts &&
+      failures.since > Date.now() - config.access.failureWindowMs;
+  }
+
+  async checkPassword(policy, password, address) {
+    const key = crypto.createHash('sha256')
+      .update(`${policy.password.hash}\n${password}`)
+      .digest('base64');
+    if (this.verified.get(key)) return true;
+
+    if (await verifyPassword(password, policy.password.hash)) {
+      this.verified.set(key, true, 1);
+      this.failures.delete(address);
+      return true;
+    }
+
+    const failures = this.failures.get(address);
+    const current = failures && failures.since > Date.now() - config.access.failureWindowMs
+      ? failures
+      : { count: 0, since: Date.now() };
+    this.failures.set(address, { ...current, count: current.count + 1 }, 1);
+    return false;
+  }
+
+  invalidate(projectUri) {
+    this.policies.delete(projectUri);
+  }
+}
+
+module.exports = new AccessService();
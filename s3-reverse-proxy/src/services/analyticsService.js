@@ -0,0 +1,134 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const clickhouseService = require('./clickhouseService');
+const { classifyUserAgent } = require('../utils/userAgent');
+
+const MAX_PATH_LENGTH = 1024;
+
+// Query strings can carry tokens, so neither paths nor referrers keep them
+const getReferrer = (header) => {
+  try {
+    const url = new URL(header);
+    return `${url.origin}${url.pathname}`.slice(0, MAX_PATH_LENGTH);
+  } catch (error) {
+    return '';
+  }
+};
+
+// Buffers one event per site request and writes them to ClickHouse in
+// batches. Analytics never hold up or fail a request: when ClickHouse is
+// down events queue up to a limit and the rest are dropped.
+class AnalyticsService {
+  constructor() {
+    this.enabled = false;
+    this.queue = [];
+    this.dropped = 0;
+    this.failing = false;
+    this.timer = null;
+    this.pending = Promise.resolve();
+  }
+
+  async initialize() {
+    if (!config.analytics.enabled) return;
+
+    try {
+      await clickhouseService.initialize();
+    } catch (error) {
+      logger.error('Traffic analytics disabled, ClickHouse is unavailable:', error.message);
+      return;
+    }
+
+    this.enabled = true;
+    this.timer = setInterval(() => this.flush(), config.analytics.flushIntervalMs);
+    this.timer.unref();
+  }
+
+  // Records the request once its response is done, if it reached a site
+  track(req, res) {
+    if (!this.enabled) return;
+
+    const timestamp = new Date();
+    const startedAt = process.hrtime.bigint();
+    const { socket } = req;
+    const bytesBefore = socket.bytesWritten;
+
+    res.once('close', () => {
+      const { site } = res.locals;
+      if (!site) return;
+
+      this.record({
+        timestamp,
+        project_uri: site.projectUri,
+        deployment_id: res.locals.deploymentId || '',
+        preview_alias: site.previewAlias || '',
+        host: req.hostname || '',
+        method: req.method,
+        path: req.originalUrl.split('?')[0].slice(0, MAX_PATH_LENGTH),
+        status: res.statusCode,
+        // Headers included: what the site cost in bandwidth
+        bytes: Math.max(0, socket.bytesWritten - bytesBefore),
+        latency_ms: Number((process.hrtime.bigint() - startedAt) / 1000000n),
+        referrer: getReferrer(req.headers.referer),
+        user_agent_class: classifyUserAgent(req.headers['user-agent']),
+        cache_status: res.locals.cacheStatus || ''
+      });
+    });
+  }
+
+  record(event) {
+    if (this.queue.length >= config.analytics.maxQueueSize) {
+      this.dropped++;
+      return;
+    }
+
+    this.queue.push(event);
+    if (this.queue.length >= config.analytics.batchSize) {
+      this.flush();
+    }
+  }
+
+  // Chained so only one insert is in flight at a time
+  flush() {
+    this.pending = this.pending.then(() => this.sendBatches());
+    return this.pending;
+  }
+
+  async sendBatches() {
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, config.analytics.batchSize);
+      try {
+        await clickhouseService.insertSiteRequests(batch);
+      } catch (error) {
+        // Back to the front of the queue for the next flush, as far as it fits
+        const room = Math.max(0, config.analytics.maxQueueSize - this.queue.length);
+        this.dropped += Math.max(0, batch.length - room);
+        this.queue.unshift(...batch.slice(0, room));
+
+        if (!this.failing) {
+          logger.error('Failed to record request events:', error.message);
+          this.failing = true;
+        }
+        return;
+      }
+    }
+
+    if (this.failing) {
+      logger.info('Recording request events again');
+      this.failing = false;
+    }
+    if (this.dropped > 0) {
+      logger.warn(`Dropped ${this.dropped} request events while ClickHouse was behind`);
+      this.dropped = 0;
+    }
+  }
+
+  async shutdown() {
+    if (!this.enabled) return;
+
+    clearInterval(this.timer);
+    await this.flush();
+    await clickhouseService.disconnect();
+  }
+}
+
+module.exports = new AnalyticsService();
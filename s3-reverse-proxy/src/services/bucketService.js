@@ -0,0 +1,64 @@
+const axios = require('axios');
+const config = require('../config/config');
+const { signRequest } = require('../utils/sigv4');
+
+// Everything the proxy reads from the bucket goes through here, so that
+// with credentials configured every request is signed
+class BucketService {
+  isSigning() {
+    return Boolean(config.s3.accessKeyId && config.s3.secretAccessKey);
+  }
+
+  getBaseUrl() {
+    return config.basePath.replace(/\/+$/, '');
+  }
+
+  isInBucket(url) {
+    return url.startsWith(`${this.getBaseUrl()}/`);
+  }
+
+  sign(method, url) {
+    return signRequest({
+      method,
+      url,
+      region: config.s3.region,
+      credentials: config.s3
+    });
+  }
+
+  // Resolves with any status below 500; S3 answers 403 for missing keys
+  // when the bucket cannot be listed. A domain table outside the bucket is
+  // fetched unsigned.
+  async getJson(url) {
+    const signed = this.isSigning() && this.isInBucket(url) ? this.sign('GET', url) : null;
+    const target = signed ? `${new URL(url).origin}${signed.path}` : url;
+
+    return axios.get(target, {
+      responseType: 'json',
+      headers: signed ? signed.headers : {},
+      timeout: config.pointerTimeoutMs,
+      validateStatus: (status) => status < 500
+    });
+  }
+
+  // Signs a request http-proxy is about to send upstream. Client headers
+  // S3 would act on are dropped, and only reads are signed: anything else
+  // is left for the bucket to refuse.
+  signProxyRequest(proxyReq, method) {
+    for (const name of proxyReq.getHeaderNames()) {
+      if (name.startsWith('x-amz-')) proxyReq.removeHeader(name);
+    }
+    proxyReq.removeHeader('authorization');
+
+    if (!this.isSigning() || (method !== 'GET' && method !== 'HEAD')) return;
+
+    const signed = this.sign(method, `${proxyReq.protocol}//${proxyReq.getHeader('host')}${proxyReq.path}`);
+
+    proxyReq.path = signed.path;
+    for (const [name, value] of Object.entries(signed.headers)) {
+      proxyReq.setHeader(name, value);
+    }
+  }
+}
+
+module.exports = new BucketService();
@@ -0,0 +1,63 @@
+const { createClient } = require('@clickhouse/client');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Owns the site_requests table; the API reads it
+class ClickHouseService {
+  constructor() {
+    this.client = createClient({
+      host: config.clickhouse.host,
+      username: config.clickhouse.username,
+      password: config.clickhouse.password,
+      database: config.clickhouse.database
+    });
+  }
+
+  async initialize() {
+    await this.client.ping();
+    logger.info('ClickHouse connection established');
+
+    // Daily partitions let the TTL drop whole days at once
+    const createSiteRequestsTable = `
+      CREATE TABLE IF NOT EXISTS site_requests (
+        timestamp DateTime64(3),
+        project_uri LowCardinality(String),
+        deployment_id String,
+        preview_alias String DEFAULT '',
+        host String,
+        method LowCardinality(String),
+        path String,
+        status UInt16,
+        bytes UInt64,
+        latency_ms UInt32,
+        referrer String DEFAULT '',
+        user_agent_class LowCardinality(String),
+        cache_status LowCardinality(String) DEFAULT ''
+      )
+      ENGINE = MergeTree()
+      PARTITION BY toYYYYMMDD(timestamp)
+      ORDER BY (project_uri, timestamp)
+      TTL toDateTime(timestamp) + INTERVAL ${config.analytics.retentionDays} DAY
+      SETTINGS ttl_only_drop_parts = 1;
+    `;
+
+    await this.client.exec({ query: createSiteRequestsTable });
+    logger.info('ClickHouse tables verified');
+  }
+
+  async insertSiteRequests(rows) {
+    await this.client.insert({
+      table: 'site_requests',
+      values: rows,
+      format: 'JSONEachRow',
+      // Accept the ISO timestamps JSON.stringify produces for Dates
+      clickhouse_settings: { date_time_input_format: 'best_effort' }
+    });
+  }
+
+  async disconnect() {
+    await this.client.close();
+  }
+}
+
+module.exports = new ClickHouseService();
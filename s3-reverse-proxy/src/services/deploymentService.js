@@ -0,0 +1,92 @@
+const config = require('../config/config');
+const bucketService = require('./bucketService');
+const logger = require('../utils/logger');
+const LruCache = require('../utils/lruCache');
+
+class DeploymentService {
+  constructor() {
+    // Pointers of hosts nobody asks for any more are evicted first
+    this.cache = new LruCache({ maxEntries: config.pointerCacheSize, maxBytes: config.pointerCacheSize });
+    this.manifests = new LruCache({ maxEntries: config.manifestCacheSize, maxBytes: config.manifestCacheSize });
+  }
+
+  getOutputsBase() {
+    return `${config.basePath.replace(/\/+$/, '')}/__outputs`;
+  }
+
+  // Resolve the project's current.json pointer written by the build server
+  async getCurrentDeploymentId(projectUri) {
+    return this.getPointerDeploymentId(projectUri, projectUri, `${projectUri}/current.json`);
+  }
+
+  async getPreviewDeploymentId(projectUri, previewAlias) {
+    return this.getPointerDeploymentId(
+      projectUri,
+      `${previewAlias}--${projectUri}`,
+      `${projectUri}/previews/${previewAlias}.json`
+    );
+  }
+
+  async getPointerDeploymentId(projectUri, cacheKey, pointerPath) {
+    const cached = this.cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.deploymentId;
+    }
+
+    const url = `${this.getOutputsBase()}/${pointerPath}`;
+    const response = await bucketService.getJson(url);
+
+    // S3 answers 403 for missing keys when the bucket cannot be listed
+    const deploymentId = response.status === 200 && response.data
+      ? response.data.deploymentId || null
+      : null;
+
+    if (!deploymentId && response.status !== 404 && response.status !== 403) {
+      logger.warn(`Unexpected pointer response ${response.status} for ${pointerPath}`);
+    }
+
+    this.cache.set(cacheKey, {
+      projectUri,
+      deploymentId,
+      expiresAt: Date.now() + config.pointerCacheTtlMs
+    }, 1);
+
+    return deploymentId;
+  }
+
+  // Deployments are immutable, so manifests are cached until evicted. A
+  // missing one is not: it may only be missing until the build writes it.
+  async getManifest(projectUri, deploymentId) {
+    const cacheKey = `${projectUri}/${deploymentId}`;
+    const cached = this.manifests.get(cacheKey);
+    if (cached) return cached;
+
+    let manifest = null;
+    try {
+      const url = `${this.getOutputsBase()}/${projectUri}/${deploymentId}.manifest.json`;
+      const response = await bucketService.getJson(url);
+      manifest = response.status === 200 && response.data && response.data.files
+        ? response.data
+        : null;
+    } catch (error) {
+      // Serve without pre-compressed variants rather than failing the request
+      logger.warn(`Manifest unavailable for ${cacheKey}: ${error.message}`);
+      return null;
+    }
+
+    if (manifest) this.manifests.set(cacheKey, manifest, 1);
+
+    return manifest;
+  }
+
+  getDeploymentTarget(projectUri, deploymentId) {
+    return `${this.getOutputsBase()}/${projectUri}/${deploymentId}`;
+  }
+
+  // Forgets the project's production and preview pointers
+  invalidate(projectUri) {
+    this.cache.deleteWhere(entry => entry.projectUri === projectUri);
+  }
+}
+
+module.exports = new DeploymentService();
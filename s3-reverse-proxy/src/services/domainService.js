@@ -0,0 +1,92 @@
+const fs = require('fs');
+const config = require('../config/config');
+const bucketService = require('./bucketService');
+const logger = require('../utils/logger');
+const { buildDomainTable, lookupHost } = require('../utils/domainTable');
+
+// Keeps the hostname routing table in memory and reloads it whenever its
+// source changes, so domains can be added without a restart
+class DomainService {
+  constructor() {
+    this.table = buildDomainTable({ projects: {} });
+    // Last seen mtime or ETag, to skip reloading an unchanged table
+    this.version = null;
+    this.timer = null;
+  }
+
+  // A local path, or a URL; by default the table lives in the bucket
+  getSource() {
+    return config.domains.source || `${config.basePath.replace(/\/+$/, '')}/__config/domains.json`;
+  }
+
+  async initialize() {
+    await this.reload();
+    this.timer = setInterval(() => this.reload(), config.domains.reloadIntervalMs);
+    this.timer.unref();
+  }
+
+  // A table that cannot be read or parsed leaves the current one in place
+  async reload() {
+    const source = this.getSource();
+    try {
+      const loaded = /^https?:\/\//.test(source)
+        ? await this.fetchTable(source)
+        : await this.readTable(source);
+      if (!loaded) return;
+
+      // Recorded first so a broken table is reported once, not every poll
+      this.version = loaded.version;
+      const document = typeof loaded.content === 'string'
+        ? JSON.parse(loaded.content)
+        : loaded.content;
+      this.table = buildDomainTable(document);
+      logger.info(`Loaded ${this.table.exact.size + this.table.wildcards.size} custom domains from ${source}`);
+    } catch (error) {
+      logger.error(`Failed to load domain table from ${source}:`, error.message);
+    }
+  }
+
+  // These resolve to null when the table has not changed
+  async readTable(filePath) {
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return this.emptyTable('missing');
+    }
+
+    const version = String(stats.mtimeMs);
+    if (version === this.version) return null;
+
+    return { content: await fs.promises.readFile(filePath, 'utf-8'), version };
+  }
+
+  async fetchTable(url) {
+    const response = await bucketService.getJson(url);
+
+    // S3 answers 403 for missing keys when the bucket cannot be listed
+    if (response.status === 404 || response.status === 403) return this.emptyTable('missing');
+    if (response.status !== 200) {
+      throw new Error(`Unexpected response ${response.status}`);
+    }
+
+    const version = response.headers.etag || JSON.stringify(response.data);
+    return version === this.version ? null : { content: response.data, version };
+  }
+
+  // No table means no custom domains, not an error
+  emptyTable(version) {
+    return version === this.version ? null : { content: { projects: {} }, version };
+  }
+
+  resolve(hostname) {
+    return lookupHost(this.table, hostname);
+  }
+
+  shutdown() {
+    clearInterval(this.timer);
+  }
+}
+
+module.exports = new DomainService();
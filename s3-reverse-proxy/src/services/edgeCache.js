@@ -0,0 +1,85 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const LruCache = require('../utils/lruCache');
+const { getFreshnessMs, stripHopByHopHeaders } = require('../utils/httpCache');
+
+// Upstream responses kept in memory by object URL. Entries hold the
+// response exactly as the bucket sent it; routing headers are applied on
+// the way out, since several paths can serve the same object.
+class EdgeCache {
+  constructor() {
+    this.entries = new LruCache(config.edgeCache);
+  }
+
+  isEnabled() {
+    return config.edgeCache.enabled;
+  }
+
+  // The entry and whether it may be served as-is; a stale entry with an
+  // ETag is kept for revalidation, anything else stale is dropped
+  lookup(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt > Date.now()) return { entry, fresh: true };
+    if (entry.headers.etag) return { entry, fresh: false };
+
+    this.entries.delete(key);
+    return null;
+  }
+
+  // Whether a response with these headers is worth buffering for the cache
+  isStorable(statusCode, headers) {
+    if (statusCode !== 200) return false;
+
+    const freshnessMs = getFreshnessMs(headers, config.edgeCache.defaultTtlMs);
+    if (freshnessMs === null || (freshnessMs === 0 && !headers.etag)) return false;
+
+    const length = parseInt(headers['content-length'], 10);
+    return Number.isNaN(length) || length <= config.edgeCache.maxEntryBytes;
+  }
+
+  store(key, projectUri, { statusCode, headers, body }) {
+    const storedHeaders = stripHopByHopHeaders(headers);
+    delete storedHeaders['content-length'];
+
+    const entry = {
+      projectUri,
+      statusCode,
+      headers: storedHeaders,
+      body,
+      storedAt: Date.now(),
+      expiresAt: Date.now() + getFreshnessMs(headers, config.edgeCache.defaultTtlMs)
+    };
+
+    this.entries.set(key, entry, body.length);
+    return entry;
+  }
+
+  // Upstream confirmed a stale entry with 304; its headers may update
+  // freshness, the body stays
+  refresh(key, entry, headers) {
+    const refreshed = {
+      ...entry,
+      headers: { ...entry.headers, ...stripHopByHopHeaders(headers) },
+      storedAt: Date.now()
+    };
+    delete refreshed.headers['content-length'];
+    refreshed.expiresAt = Date.now() + (getFreshnessMs(refreshed.headers, config.edgeCache.defaultTtlMs) || 0);
+
+    this.entries.set(key, refreshed, refreshed.body.length);
+    return refreshed;
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  purge(projectUri) {
+    const purged = this.entries.deleteWhere(entry => entry.projectUri === projectUri);
+    logger.info(`Purged ${purged} cached responses for ${projectUri}`);
+    return purged;
+  }
+}
+
+module.exports = new EdgeCache();
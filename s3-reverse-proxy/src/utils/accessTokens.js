@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+// Formats shared with the API, which hashes passwords and signs share links
+
+// Signed tokens are <expiresAt>.<signature>, bound to one project and its
+// current password hash
+const signAccessToken = (secret, { purpose, projectUri, passwordHash, expiresAt }) => {
+  const signature = crypto.createHmac('sha256', secret)
+    .update([purpose, projectUri, expiresAt, passwordHash].join('\n'))
+    .digest('base64url');
+  return `${expiresAt}.${signature}`;
+};
+
+// The expiry in seconds when the token is genuine and current, else null
+const verifyAccessToken = (secret, token, { purpose, projectUri, passwordHash }) => {
+  const match = /^(\d{1,12})\.[A-Za-z0-9_-]+$/.exec(token || '');
+  if (!match) return null;
+
+  const expiresAt = Number(match[1]);
+  if (expiresAt <= Date.now() / 1000) return null;
+
+  const expected = Buffer.from(signAccessToken(secret, { purpose, projectUri, passwordHash, expiresAt }));
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+    ? expiresAt
+    : null;
+};
+
+// Checks a password against scrypt$N$r$p$salt$hash
+const verifyPassword = async (password, encoded) => {
+  const [algorithm, N, r, p, salt, hash] = (encoded || '').split('$');
+  if (algorithm !== 'scrypt' || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = await new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), Buffer.from(salt, 'base64url'), expected.length, {
+      N: Number(N),
+      r: Number(r),
+      p: Number(p)
+    }, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const parseCookies = (header) => {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+  }
+  return cookies;
+};
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  verifyPassword,
+  parseCookies
+};
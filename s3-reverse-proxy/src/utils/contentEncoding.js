@@ -0,0 +1,47 @@
+// Pre-compressed variants uploaded by the build server, in order of preference
+const VARIANT_EXTENSIONS = {
+  br: '.br',
+  gzip: '.gz'
+};
+
+const parseAcceptEncoding = (header = '') => header
+  .split(',')
+  .map((part) => {
+    const [name, ...params] = part.trim().split(';');
+    const quality = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+    return {
+      name: name.trim().toLowerCase(),
+      q: quality ? parseFloat(quality.slice(2)) || 0 : 1
+    };
+  })
+  .filter((entry) => entry.name);
+
+// Pick the best available encoding the client accepts, or null for identity
+const selectEncoding = (acceptEncoding, availableEncodings = []) => {
+  const accepted = parseAcceptEncoding(acceptEncoding);
+  const qualityOf = (name) => {
+    const match = accepted.find((entry) => entry.name === name) ||
+      accepted.find((entry) => entry.name === '*');
+    return match ? match.q : 0;
+  };
+
+  let selected = null;
+  let selectedQuality = 0;
+  for (const encoding of Object.keys(VARIANT_EXTENSIONS)) {
+    if (!availableEncodings.includes(encoding)) continue;
+
+    const quality = qualityOf(encoding);
+    if (quality > selectedQuality) {
+      selected = encoding;
+      selectedQuality = quality;
+    }
+  }
+
+  return selected;
+};
+
+module.exports = {
+  VARIANT_EXTENSIONS,
+  parseAcceptEncoding,
+  selectEncoding
+};
@@ -0,0 +1,68 @@
+// Hostname routing table, published as
+//   { "projects": { "<projectUri>": {
+//       "domains": ["example.com", "www.example.com", "*.example.org"],
+//       "canonical": "www.example.com" } } }
+// A "*." domain matches exactly one extra label. Hosts other than the
+// canonical one are redirected to it.
+
+const normalizeHostname = hostname => (hostname || '').trim().toLowerCase().replace(/\.$/, '');
+
+const HOSTNAME_PATTERN = /^(\*\.)?([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z0-9]([a-z0-9-]*[a-z0-9])?$/;
+
+// Throws on anything malformed so a bad edit never replaces a good table
+const buildDomainTable = (document) => {
+  if (!document || typeof document !== 'object' || typeof document.projects !== 'object') {
+    throw new Error('Domain table must be an object with a "projects" map');
+  }
+
+  const exact = new Map();
+  const wildcards = new Map();
+
+  for (const [projectUri, settings] of Object.entries(document.projects)) {
+    if (!settings || !Array.isArray(settings.domains)) {
+      throw new Error(`Project ${projectUri} must list its domains`);
+    }
+
+    const canonical = settings.canonical ? normalizeHostname(settings.canonical) : null;
+    const domains = settings.domains.map(normalizeHostname);
+    if (canonical && !domains.includes(canonical)) {
+      throw new Error(`Canonical host ${canonical} of ${projectUri} is not one of its domains`);
+    }
+
+    for (const domain of domains) {
+      if (!HOSTNAME_PATTERN.test(domain)) {
+        throw new Error(`Invalid domain "${domain}" for ${projectUri}`);
+      }
+
+      const isWildcard = domain.startsWith('*.');
+      const routes = isWildcard ? wildcards : exact;
+      const key = isWildcard ? domain.slice(2) : domain;
+      if (routes.has(key)) {
+        throw new Error(`Domain ${domain} is mapped to both ${routes.get(key).projectUri} and ${projectUri}`);
+      }
+      routes.set(key, { projectUri, canonical });
+    }
+  }
+
+  return { exact, wildcards };
+};
+
+// Exact entries win over wildcards. Returns { projectUri, redirectTo } or
+// null; redirectTo is set when the host is not the canonical one.
+const lookupHost = (table, hostname) => {
+  const host = normalizeHostname(hostname);
+  const parent = host.slice(host.indexOf('.') + 1);
+  const route = table.exact.get(host) || (host.includes('.') && table.wildcards.get(parent));
+  if (!route) return null;
+
+  return {
+    projectUri: route.projectUri,
+    redirectTo: route.canonical && route.canonical !== host ? route.canonical : null
+  };
+};
+
+module.exports = {
+  normalizeHostname,
+  buildDomainTable,
+  lookupHost
+};
@@ -0,0 +1,48 @@
+const escapeHtml = value => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+const renderPage = (title, message, content = '') => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>body{font-family:system-ui,sans-serif;max-width:36rem;margin:15vh auto;padding:0 1rem;color:#222}h1{font-size:1.5rem}code{background:#f2f2f2;padding:.1rem .3rem}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${message}</p>
+${content}</body>
+</html>
+`;
+
+const renderDomainNotConfigured = hostname => renderPage(
+  'Domain not configured',
+  `<code>${escapeHtml(hostname || 'This host')}</code> is not connected to any project. ` +
+  'If this is your domain, add it to the project\'s domains.'
+);
+
+const renderAccessDenied = message => renderPage('Access denied', escapeHtml(message));
+
+// Posts to the proxy's own login route, which returns to `next`
+const renderPasswordPage = ({ next, error }) => renderPage(
+  'Password required',
+  error ? escapeHtml(error) : 'This site is password protected.',
+  `<form method="post" action="/__edge/login">
+<input type="hidden" name="next" value="${escapeHtml(next)}">
+<input type="password" name="password" autocomplete="current-password" autofocus required>
+<button type="submit">Continue</button>
+</form>
+`
+);
+
+module.exports = {
+  renderDomainNotConfigured,
+  renderAccessDenied,
+  renderPasswordPage
+};
@@ -0,0 +1,119 @@
+// Cache-Control, conditional request and Range handling for the edge cache
+
+// Per RFC 9110 these describe the connection, not the response
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+// What a 304 repeats from the full response
+const NOT_MODIFIED_HEADERS = [
+  'cache-control',
+  'content-location',
+  'date',
+  'etag',
+  'expires',
+  'last-modified',
+  'vary'
+];
+
+const parseCacheControl = (header) => {
+  const directives = {};
+  for (const part of (header || '').split(',')) {
+    const [name, value] = part.trim().split('=');
+    if (name) directives[name.toLowerCase()] = value === undefined ? true : value.replace(/"/g, '');
+  }
+  return directives;
+};
+
+// How long a shared cache may serve the response without asking upstream:
+// null when it must not be stored at all, 0 when it must be revalidated
+const getFreshnessMs = (headers, defaultTtlMs) => {
+  const directives = parseCacheControl(headers['cache-control']);
+  if (directives['no-store'] || directives.private) return null;
+  if (directives['no-cache']) return 0;
+
+  const maxAge = directives['s-maxage'] ?? directives['max-age'];
+  if (maxAge !== undefined) {
+    const seconds = parseInt(maxAge, 10);
+    return Number.isNaN(seconds) ? 0 : Math.max(0, seconds) * 1000;
+  }
+
+  if (headers.expires) {
+    const expiresAt = Date.parse(headers.expires);
+    return Number.isNaN(expiresAt) ? 0 : Math.max(0, expiresAt - Date.now());
+  }
+
+  return defaultTtlMs;
+};
+
+const stripHopByHopHeaders = (headers) => {
+  const result = { ...headers };
+  for (const name of HOP_BY_HOP_HEADERS) delete result[name];
+  return result;
+};
+
+const pickNotModifiedHeaders = headers => Object.fromEntries(
+  Object.entries(headers).filter(([name]) => NOT_MODIFIED_HEADERS.includes(name))
+);
+
+const matchesEtag = (header, etag) => {
+  if (!etag) return false;
+  const weak = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => tag.trim() === '*' || weak(tag) === weak(etag));
+};
+
+// If-None-Match wins over If-Modified-Since when both are sent
+const isNotModified = (requestHeaders, responseHeaders) => {
+  const ifNoneMatch = requestHeaders['if-none-match'];
+  if (ifNoneMatch) return matchesEtag(ifNoneMatch, responseHeaders.etag);
+
+  const ifModifiedSince = Date.parse(requestHeaders['if-modified-since'] || '');
+  const lastModified = Date.parse(responseHeaders['last-modified'] || '');
+  return !Number.isNaN(ifModifiedSince) && !Number.isNaN(lastModified) &&
+    lastModified <= ifModifiedSince;
+};
+
+// A single byte range as { start, end } (inclusive), 'unsatisfiable', or
+// null to send the whole body: no or unsupported Range, several ranges,
+// or an If-Range that no longer matches
+const parseRange = (requestHeaders, responseHeaders, size) => {
+  const header = requestHeaders.range;
+  if (!header || !header.startsWith('bytes=') || header.includes(',')) return null;
+
+  const ifRange = requestHeaders['if-range'];
+  if (ifRange && ifRange !== responseHeaders.etag && ifRange !== responseHeaders['last-modified']) {
+    return null;
+  }
+
+  const match = header.slice('bytes='.length).trim().match(/^(\d*)-(\d*)$/);
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - parseInt(match[2], 10));
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+  }
+
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+};
+
+module.exports = {
+  getFreshnessMs,
+  stripHopByHopHeaders,
+  pickNotModifiedHeaders,
+  isNotModified,
+  parseRange
+};
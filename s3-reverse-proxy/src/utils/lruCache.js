@@ -0,0 +1,61 @@
+// Least-recently-used map bounded by entry count and total size. A Map
+// iterates in insertion order, so re-inserting on read keeps the oldest
+// entry first in line for eviction.
+class LruCache {
+  constructor({ maxEntries, maxBytes }) {
+    this.maxEntries = Math.max(1, maxEntries || 1);
+    this.maxBytes = Math.max(1, maxBytes || 1);
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  // Returns false when the value alone is larger than the whole cache
+  set(key, value, size) {
+    if (size > this.maxBytes) return false;
+
+    this.delete(key);
+    this.entries.set(key, { value, size });
+    this.bytes += size;
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+    }
+    return true;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  // Removes every entry whose value matches and returns how many went
+  deleteWhere(predicate) {
+    let deleted = 0;
+    for (const [key, { value }] of this.entries) {
+      if (predicate(value)) {
+        this.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+}
+
+module.exports = LruCache;
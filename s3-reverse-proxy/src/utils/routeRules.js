@@ -0,0 +1,128 @@
+const path = require('path');
+
+const NOT_FOUND_PAGE = '404.html';
+const SPA_ENTRY = 'index.html';
+
+// Route sources are paths where a segment can be
+//   :name   one segment, available as :name in the destination
+//   :name*  the rest of the path, possibly empty
+//   **      the rest of the path, unnamed
+// and `*` inside a segment matches within that segment, so /*.js and
+// /assets/** work as globs for headers
+const compilePattern = (pattern) => {
+  const names = [];
+  const segments = pattern.split('/').map((segment) => {
+    if (segment === '**') return '.*';
+
+    const param = segment.match(/^:([A-Za-z_][A-Za-z0-9_]*)(\*)?$/);
+    if (param) {
+      names.push(param[1]);
+      return param[2] ? '(.*)' : '([^/]+)';
+    }
+
+    return segment
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*');
+  });
+
+  // A trailing /** or /:name* also matches the bare prefix
+  const source = segments.join('/').replace(/\/(\.\*|\(\.\*\))$/, '(?:/$1)?');
+  return { regex: new RegExp(`^${source}$`), names };
+};
+
+const compiled = new Map();
+
+const matchPattern = (pattern, pathname) => {
+  if (!compiled.has(pattern)) compiled.set(pattern, compilePattern(pattern));
+  const { regex, names } = compiled.get(pattern);
+
+  const match = pathname.match(regex);
+  if (!match) return null;
+  return Object.fromEntries(names.map((name, index) => [name, match[index + 1] || '']));
+};
+
+// Replaces :name (and :name*) in a destination with matched values
+const applyParams = (destination, params) =>
+  destination.replace(/:([A-Za-z_][A-Za-z0-9_]*)\*?/g, (token, name) =>
+    (name in params ? params[name] : token));
+
+const findRule = (rules, pathname) => {
+  for (const rule of rules || []) {
+    const params = matchPattern(rule.source, pathname);
+    if (params) return { rule, params };
+  }
+  return null;
+};
+
+const withQuery = (location, search) =>
+  (search && !location.includes('?') ? `${location}${search}` : location);
+
+// A decoded path with its dot segments resolved, or null when it has '..'
+// segments at all: %2F decodes to a separator, so nothing in a request or a
+// rewrite may name an object outside the deployment
+const normalizePath = (pathname) => {
+  if (!pathname.startsWith('/') || pathname.includes('\0') || pathname.split(/[/\\]/).includes('..')) {
+    return null;
+  }
+  return path.posix.normalize(pathname);
+};
+
+// The object a path names: directories serve their index.html
+const toObjectPath = pathname => (pathname.endsWith('/')
+  ? `${pathname}index.html`
+  : pathname).slice(1);
+
+// Works out what a request for `pathname` gets from a deployment whose
+// manifest lists `files` and carries `routes`:
+//   { redirect: { location, status } }, or
+//   { objectPath, status, headers }, objectPath relative to the deployment
+// or null when a rewrite would leave the deployment. `acceptsHtml` says
+// whether a missing path may get the SPA entry page.
+const resolveRoute = ({ routes = {}, files = {} }, pathname, { search = '', acceptsHtml = true } = {}) => {
+  const redirect = findRule(routes.redirects, pathname);
+  if (redirect) {
+    return {
+      redirect: {
+        location: withQuery(applyParams(redirect.rule.destination, redirect.params), search),
+        status: redirect.rule.permanent ? 301 : 302
+      }
+    };
+  }
+
+  const headers = {};
+  for (const rule of routes.headers || []) {
+    if (!matchPattern(rule.source, pathname)) continue;
+    for (const { key, value } of rule.headers) headers[key] = value;
+  }
+
+  const rewrite = findRule(routes.rewrites, pathname);
+  const target = normalizePath(rewrite ? applyParams(rewrite.rule.destination, rewrite.params) : pathname);
+  if (target === null) return null;
+
+  let objectPath = toObjectPath(target);
+  let status = 200;
+
+  if (!files[objectPath]) {
+    const directoryIndex = `${objectPath}/index.html`;
+    const hasExtension = path.posix.extname(objectPath) !== '';
+
+    if (files[directoryIndex]) {
+      objectPath = directoryIndex;
+    } else if (routes.spa && files[SPA_ENTRY] && (acceptsHtml || !hasExtension)) {
+      objectPath = SPA_ENTRY;
+    } else if (files[NOT_FOUND_PAGE]) {
+      objectPath = NOT_FOUND_PAGE;
+      status = 404;
+    }
+  }
+
+  return { objectPath, status, headers };
+};
+
+module.exports = {
+  normalizePath,
+  matchPattern,
+  applyParams,
+  resolveRoute
+};
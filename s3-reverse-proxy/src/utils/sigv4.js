@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+// Objects are streamed, never hashed; S3 accepts this for the payload hash
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+// S3 signs its own encoding of the key: everything but unreserved
+// characters escaped, '/' kept between segments
+const encodeSegment = segment => encodeURIComponent(segment)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const getCanonicalPath = pathname => pathname
+  .split('/')
+  .map(segment => encodeSegment(decodeURIComponent(segment)))
+  .join('/');
+
+// Signs a GET or HEAD of `url` with AWS Signature Version 4. The query is
+// dropped: nothing the proxy fetches needs one, and it would reach S3
+// subresources. Returns the path to request and the headers to send.
+const signRequest = ({ method, url, region, credentials, service = 's3', date = new Date() }) => {
+  const target = new URL(url);
+  const amzDate = date.toISOString().replace(/[-:]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+  const path = getCanonicalPath(target.pathname);
+
+  const headers = {
+    host: target.host,
+    'x-amz-content-sha256': UNSIGNED_PAYLOAD,
+    'x-amz-date': amzDate,
+    ...(credentials.sessionToken ? { 'x-amz-security-token': credentials.sessionToken } : {})
+  };
+  const signedHeaders = Object.keys(headers).sort();
+
+  const canonicalRequest = [
+    method,
+    path,
+    '',
+    signedHeaders.map(name => `${name}:${headers[name]}\n`).join(''),
+    signedHeaders.join(';'),
+    UNSIGNED_PAYLOAD
+  ].join('\n');
+
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${credentials.secretAccessKey}`, day), region), service), 'aws4_request');
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  return {
+    path,
+    headers: {
+      ...headers,
+      authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, ` +
+        `SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+    }
+  };
+};
+
+module.exports = {
+  UNSIGNED_PAYLOAD,
+  signRequest
+};
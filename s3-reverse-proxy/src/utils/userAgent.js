@@ -0,0 +1,17 @@
+// Coarse device class of a User-Agent; the header itself is not recorded
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|fetch|monitor|preview|curl|wget|python-requests|axios|go-http-client|headless/i;
+const TABLET_PATTERN = /ipad|tablet|kindle|silk|playbook|(android(?!.*mobile))/i;
+const MOBILE_PATTERN = /mobi|iphone|ipod|android|blackberry|opera mini|iemobile|windows phone/i;
+
+const classifyUserAgent = (userAgent) => {
+  if (!userAgent) return 'unknown';
+  if (BOT_PATTERN.test(userAgent)) return 'bot';
+  if (TABLET_PATTERN.test(userAgent)) return 'tablet';
+  if (MOBILE_PATTERN.test(userAgent)) return 'mobile';
+  return 'desktop';
+};
+
+module.exports = {
+  classifyUserAgent
+};
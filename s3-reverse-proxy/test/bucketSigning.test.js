@@ -0,0 +1,178 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const config = require('../src/config/config');
+const bucketService = require('../src/services/bucketService');
+const accessService = require('../src/services/accessService');
+const ReverseProxyServer = require('../src/server');
+const { signRequest } = require('../src/utils/sigv4');
+
+const credentials = {
+  accessKeyId: 'AKIDEXAMPLE',
+  secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+  sessionToken: 'session-token'
+};
+
+// Whether a request carries the signature S3 would work out for it
+const isSignedFor = (req) => {
+  const amzDate = req.headers['x-amz-date'] || '';
+  const date = new Date(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+  if (!req.headers.authorization || Number.isNaN(date.getTime())) return false;
+
+  const expected = signRequest({
+    method: req.method,
+    url: `http://${req.headers.host}${req.url}`,
+    region: 'eu-west-1',
+    credentials,
+    date
+  });
+  return expected.path === req.url.split('?')[0] && expected.headers.authorization === req.headers.authorization;
+};
+
+// Stands in for a private bucket: records each request and answers 403 to
+// any that is not signed. The access policy is the only object in it.
+const createBucket = () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers });
+    if (!isSignedFor(req)) {
+      res.writeHead(403);
+      return res.end();
+    }
+    if (req.url === '/b/__config/access/locked.json') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ ipAllowlist: ['10.0.0.0/8'] }));
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('object');
+  });
+  return { server, requests };
+};
+
+describe('signRequest', () => {
+  it('matches the AWS SDK signature for an S3 GET', () => {
+    const signed = signRequest({
+      method: 'GET',
+      url: 'https://examplebucket.s3.eu-west-1.amazonaws.com/__outputs/site/d1/docs/a%20b(1)!.html?acl',
+      region: 'eu-west-1',
+      credentials,
+      date: new Date('2026-10-18T12:34:56Z')
+    });
+
+    assert.strictEqual(signed.path, '/__outputs/site/d1/docs/a%20b%281%29%21.html');
+    assert.deepStrictEqual(signed.headers, {
+      host: 'examplebucket.s3.eu-west-1.amazonaws.com',
+      'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+      'x-amz-date': '20261018T123456Z',
+      'x-amz-security-token': 'session-token',
+      authorization: 'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20261018/eu-west-1/s3/aws4_request, ' +
+        'SignedHeaders=host;x-amz-content-sha256;x-amz-date;x-amz-security-token, ' +
+        'Signature=34c9d613a277e8c44db7b5a77212d468a5ffef39bfd6fe2cdf0e488a3648b3c9'
+    });
+  });
+});
+
+describe('bucket requests', () => {
+  const originalBasePath = config.basePath;
+  const originalS3 = { ...config.s3 };
+  const bucket = createBucket();
+  const proxyServer = new ReverseProxyServer();
+  let proxyUrl;
+  let frontServer;
+
+  before(async () => {
+    await new Promise(resolve => bucket.server.listen(0, '127.0.0.1', resolve));
+    config.basePath = `http://127.0.0.1:${bucket.server.address().port}/b`;
+
+    // Sends every request straight to the bucket the way the proxy does
+    proxyServer.setupProxyEvents();
+    frontServer = http.createServer((req, res) => {
+      res.locals = {};
+      proxyServer.proxy.web(req, res, { target: `${config.basePath}/__outputs/site/d1` });
+    });
+    await new Promise(resolve => frontServer.listen(0, '127.0.0.1', resolve));
+    proxyUrl = `http://127.0.0.1:${frontServer.address().port}`;
+  });
+
+  after(async () => {
+    config.basePath = originalBasePath;
+    Object.assign(config.s3, originalS3);
+    proxyServer.proxy.close();
+    await new Promise(resolve => frontServer.close(resolve));
+    await new Promise(resolve => bucket.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    Object.assign(config.s3, { region: 'eu-west-1', ...credentials });
+    bucket.requests.length = 0;
+  });
+
+  afterEach(() => {
+    accessService.invalidate('locked');
+  });
+
+  const send = (method, path, headers = {}) => new Promise((resolve, reject) => {
+    const request = http.request(`${proxyUrl}${path}`, { method, headers }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    request.on('error', reject);
+    request.end();
+  });
+
+  it('signs JSON fetches from the bucket', async () => {
+    const response = await bucketService.getJson(`${config.basePath}/__config/access/locked.json`);
+    assert.strictEqual(response.status, 200);
+
+    const [{ headers }] = bucket.requests;
+    assert.match(headers.authorization, /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/eu-west-1\/s3\/aws4_request, /);
+    assert.strictEqual(headers['x-amz-security-token'], 'session-token');
+    assert.strictEqual(headers['x-amz-content-sha256'], 'UNSIGNED-PAYLOAD');
+  });
+
+  it('fetches unsigned without credentials', async () => {
+    config.s3.accessKeyId = undefined;
+    const response = await bucketService.getJson(`${config.basePath}/__config/access/locked.json`);
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(bucket.requests[0].headers.authorization, undefined);
+  });
+
+  it('signs proxied reads without their query or the client\'s own S3 headers', async () => {
+    const status = await send('GET', '/docs/a%20b(1).html?acl&versions', {
+      authorization: 'Basic dXNlcjpwYXNz',
+      'x-amz-request-payer': 'requester'
+    });
+    assert.strictEqual(status, 200);
+
+    const [{ url, headers }] = bucket.requests;
+    assert.strictEqual(url, '/b/__outputs/site/d1/docs/a%20b%281%29.html');
+    assert.match(headers.authorization, /^AWS4-HMAC-SHA256 /);
+    assert.strictEqual(headers['x-amz-request-payer'], undefined);
+  });
+
+  it('never signs writes', async () => {
+    const status = await send('DELETE', '/index.html');
+    assert.strictEqual(status, 403);
+    assert.strictEqual(bucket.requests[0].headers.authorization, undefined);
+  });
+
+  it('refuses protected sites when it cannot sign', async () => {
+    const res = {
+      locals: {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      send() {
+        return this;
+      }
+    };
+    const req = { ip: '10.0.0.1', headers: {}, originalUrl: '/' };
+
+    assert.strictEqual(await proxyServer.enforceAccess(req, res, { projectUri: 'locked' }), false);
+
+    config.s3.secretAccessKey = undefined;
+    assert.strictEqual(await proxyServer.enforceAccess(req, res, { projectUri: 'locked' }), true);
+    assert.strictEqual(res.statusCode, 503);
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const config = require('../src/config/config');
+const deploymentService = require('../src/services/deploymentService');
+const LruCache = require('../src/utils/lruCache');
+
+// Stands in for the bucket: every pointer names a deployment after its
+// path, manifests exist once listed in `manifests`, and every fetch is
+// counted. Missing keys get the 403 of a bucket that cannot be listed.
+const createBucket = () => {
+  const requested = [];
+  const manifests = new Set();
+  const server = http.createServer((req, res) => {
+    requested.push(req.url);
+    const manifestMatch = req.url.match(/^\/b\/__outputs\/(.+)\.manifest\.json$/);
+    if (manifestMatch) {
+      if (!manifests.has(manifestMatch[1])) {
+        res.writeHead(403);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ files: {} }));
+    }
+
+    const match = req.url.match(/^\/b\/__outputs\/(.+)\.json$/);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ deploymentId: match[1].replace(/\//g, ':') }));
+  });
+  return { server, requested, manifests };
+};
+
+describe('deployment pointers and manifests', () => {
+  const originalBasePath = config.basePath;
+  const originalCache = deploymentService.cache;
+  const originalManifests = deploymentService.manifests;
+  const bucket = createBucket();
+
+  before(async () => {
+    await new Promise(resolve => bucket.server.listen(0, '127.0.0.1', resolve));
+    config.basePath = `http://127.0.0.1:${bucket.server.address().port}/b`;
+  });
+
+  after(async () => {
+    config.basePath = originalBasePath;
+    deploymentService.cache = originalCache;
+    deploymentService.manifests = originalManifests;
+    await new Promise(resolve => bucket.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    deploymentService.cache = new LruCache({ maxEntries: 3, maxBytes: 3 });
+    deploymentService.manifests = new LruCache({ maxEntries: 2, maxBytes: 2 });
+    bucket.requested.length = 0;
+    bucket.manifests.clear();
+  });
+
+  it('caches production and preview pointers', async () => {
+    assert.strictEqual(await deploymentService.getCurrentDeploymentId('site'), 'site:current');
+    assert.strictEqual(await deploymentService.getPreviewDeploymentId('site', 'pr-1'), 'site:previews:pr-1');
+    await deploymentService.getCurrentDeploymentId('site');
+    await deploymentService.getPreviewDeploymentId('site', 'pr-1');
+
+    assert.strictEqual(bucket.requested.length, 2);
+  });
+
+  it('keeps only as many pointers as configured, dropping the least recently used', async () => {
+    for (const projectUri of ['a', 'b', 'c']) {
+      await deploymentService.getCurrentDeploymentId(projectUri);
+    }
+    await deploymentService.getCurrentDeploymentId('a');
+    await deploymentService.getCurrentDeploymentId('d');
+
+    assert.strictEqual(deploymentService.cache.size, 3);
+    bucket.requested.length = 0;
+    await deploymentService.getCurrentDeploymentId('a');
+    await deploymentService.getCurrentDeploymentId('b');
+    assert.deepStrictEqual(bucket.requested, ['/b/__outputs/b/current.json']);
+  });
+
+  it('forgets every pointer of an invalidated project and only those', async () => {
+    await deploymentService.getCurrentDeploymentId('site');
+    await deploymentService.getPreviewDeploymentId('site', 'b-main');
+    await deploymentService.getCurrentDeploymentId('other-site');
+
+    deploymentService.invalidate('site');
+
+    assert.strictEqual(deploymentService.cache.size, 1);
+    assert.ok(deploymentService.cache.get('other-site'));
+  });
+
+  it('caches manifests, dropping the least recently used', async () => {
+    bucket.manifests.add('site/d1').add('site/d2').add('site/d3');
+    await deploymentService.getManifest('site', 'd1');
+    await deploymentService.getManifest('site', 'd2');
+    await deploymentService.getManifest('site', 'd1');
+    await deploymentService.getManifest('site', 'd3');
+
+    bucket.requested.length = 0;
+    await deploymentService.getManifest('site', 'd1');
+    await deploymentService.getManifest('site', 'd2');
+    assert.deepStrictEqual(bucket.requested, ['/b/__outputs/site/d2.manifest.json']);
+  });
+
+  it('looks a missing manifest up again until it exists', async () => {
+    assert.strictEqual(await deploymentService.getManifest('site', 'd1'), null);
+
+    bucket.manifests.add('site/d1');
+    assert.deepStrictEqual(await deploymentService.getManifest('site', 'd1'), { files: {} });
+    assert.strictEqual(bucket.requested.length, 2);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const config = require('../src/config/config');
+const ReverseProxyServer = require('../src/server');
+
+const manifest = {
+  files: {
+    'index.html': { encodings: ['br', 'gzip'] },
+    '404.html': {},
+    'assets/app.js': {},
+    'docs/a b.html': {}
+  },
+  routes: {
+    spa: true,
+    redirects: [{ source: '/old/:slug', destination: '/new/:slug' }],
+    rewrites: [{ source: '/docs/:rest*', destination: '/docs/:rest*.html' }]
+  }
+};
+
+// Stands in for the bucket: serves the one manifest and records every path
+// asked for
+const createBucket = () => {
+  const requested = [];
+  const server = http.createServer((req, res) => {
+    requested.push(req.url);
+    if (req.url === '/b/__outputs/site/d1.manifest.json') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(manifest));
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  return { server, requested };
+};
+
+const createResponse = () => ({
+  locals: {},
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  send(body) {
+    this.body = body;
+    return this;
+  },
+  redirect(status, location) {
+    this.statusCode = status;
+    this.location = location;
+  }
+});
+
+describe('resolveObjectPath', () => {
+  const originalBasePath = config.basePath;
+  const bucket = createBucket();
+  const proxyServer = new ReverseProxyServer();
+
+  before(async () => {
+    await new Promise(resolve => bucket.server.listen(0, '127.0.0.1', resolve));
+    config.basePath = `http://127.0.0.1:${bucket.server.address().port}/b`;
+  });
+
+  after(async () => {
+    config.basePath = originalBasePath;
+    proxyServer.proxy.close();
+    await new Promise(resolve => bucket.server.close(resolve));
+  });
+
+  const resolve = async (url, { headers = {}, deploymentId = 'd1' } = {}) => {
+    const req = { url, headers };
+    const res = createResponse();
+    const answered = await proxyServer.resolveObjectPath(req, res, 'site', deploymentId);
+    return { answered, req, res };
+  };
+
+  it('refuses encoded separators that climb out of the deployment', async () => {
+    for (const url of [
+      '/..%2F..%2F..%2F__config%2Faccess%2Fp.json',
+      '/%2E%2E/%2e%2e/current.json',
+      '/assets/..%5C..%5Cd2.manifest.json'
+    ]) {
+      const requestedBefore = bucket.requested.length;
+      const { answered, res } = await resolve(url);
+      assert.strictEqual(answered, true, url);
+      assert.strictEqual(res.statusCode, 400, url);
+      assert.strictEqual(bucket.requested.length, requestedBefore, url);
+    }
+  });
+
+  it('refuses malformed escapes', async () => {
+    const { answered, res } = await resolve('/%E0%A4%A');
+    assert.strictEqual(answered, true);
+    assert.strictEqual(res.statusCode, 400);
+  });
+
+  it('points the request at the resolved object, keeping the query', async () => {
+    const { answered, req, res } = await resolve('/docs/a%20b?x=1');
+    assert.strictEqual(answered, false);
+    assert.strictEqual(req.url, '/docs/a%20b.html?x=1');
+    assert.strictEqual(res.locals.status, 200);
+  });
+
+  it('answers redirects without fetching the object', async () => {
+    const { answered, res } = await resolve('/old/post?ref=2');
+    assert.strictEqual(answered, true);
+    assert.strictEqual(res.statusCode, 302);
+    assert.strictEqual(res.location, '/new/post?ref=2');
+  });
+
+  it('serves the SPA entry in the best encoding the client accepts', async () => {
+    const { req, res } = await resolve('/dashboard', { headers: { accept: 'text/html', 'accept-encoding': 'gzip, br' } });
+    assert.strictEqual(req.url, '/index.html.br');
+    assert.strictEqual(res.locals.contentEncoding, 'br');
+    assert.strictEqual(res.locals.varyEncoding, true);
+  });
+
+  it('serves 404.html with a 404 status for missing assets', async () => {
+    const { req, res } = await resolve('/assets/missing.js', { headers: { accept: '*/*' } });
+    assert.strictEqual(req.url, '/404.html');
+    assert.strictEqual(res.locals.status, 404);
+  });
+
+  it('only adds directory indexes for deployments without a manifest', async () => {
+    const { answered, req } = await resolve('/guide/', { deploymentId: 'd0' });
+    assert.strictEqual(answered, false);
+    assert.strictEqual(req.url, '/guide/index.html');
+  });
+});
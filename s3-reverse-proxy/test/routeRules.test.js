@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { normalizePath, matchPattern, resolveRoute } = require('../src/utils/routeRules');
+
+const files = Object.fromEntries([
+  'index.html',
+  '404.html',
+  'about/index.html',
+  'assets/app.js',
+  'assets/css/site.css',
+  'content/guide.html'
+].map(file => [file, {}]));
+
+describe('route patterns', () => {
+  it('matches :name against one segment', () => {
+    assert.deepStrictEqual(matchPattern('/blog/:slug', '/blog/hello'), { slug: 'hello' });
+    assert.strictEqual(matchPattern('/blog/:slug', '/blog/hello/world'), null);
+  });
+
+  it('matches :name* against the rest of the path, including none of it', () => {
+    assert.deepStrictEqual(matchPattern('/docs/:rest*', '/docs/a/b/c'), { rest: 'a/b/c' });
+    assert.deepStrictEqual(matchPattern('/docs/:rest*', '/docs'), { rest: '' });
+    assert.strictEqual(matchPattern('/docs/:rest*', '/documents'), null);
+  });
+
+  it('matches ** and * globs', () => {
+    assert.ok(matchPattern('/assets/**', '/assets/css/site.css'));
+    assert.ok(matchPattern('/assets/**', '/assets'));
+    assert.ok(matchPattern('/*.js', '/app.js'));
+    assert.strictEqual(matchPattern('/*.js', '/assets/app.js'), null);
+    assert.strictEqual(matchPattern('/*.js', '/appjs'), null);
+  });
+});
+
+describe('resolveRoute', () => {
+  it('redirects with matched params and keeps the query', () => {
+    const routes = {
+      redirects: [
+        { source: '/old/:slug', destination: '/new/:slug', permanent: true },
+        { source: '/legacy/:rest*', destination: 'https://archive.example.com/:rest*' }
+      ]
+    };
+
+    assert.deepStrictEqual(resolveRoute({ routes, files }, '/old/post', { search: '?ref=1' }), {
+      redirect: { location: '/new/post?ref=1', status: 301 }
+    });
+    assert.deepStrictEqual(resolveRoute({ routes, files }, '/legacy/a/b').redirect, {
+      location: 'https://archive.example.com/a/b',
+      status: 302
+    });
+  });
+
+  it('rewrites to another object without redirecting', () => {
+    const routes = { rewrites: [{ source: '/docs/:page', destination: '/content/:page.html' }] };
+    assert.deepStrictEqual(resolveRoute({ routes, files }, '/docs/guide'), {
+      objectPath: 'content/guide.html',
+      status: 200,
+      headers: {}
+    });
+  });
+
+  it('collects headers from every matching glob, later rules winning', () => {
+    const routes = {
+      headers: [
+        { source: '/assets/**', headers: [{ key: 'Cache-Control', value: 'public, max-age=31536000' }] },
+        { source: '/assets/*.js', headers: [{ key: 'X-Script', value: 'yes' }] },
+        { source: '/**', headers: [{ key: 'Cache-Control', value: 'no-cache' }, { key: 'X-Frame-Options', value: 'DENY' }] }
+      ]
+    };
+
+    assert.deepStrictEqual(resolveRoute({ routes, files }, '/assets/app.js').headers, {
+      'Cache-Control': 'no-cache',
+      'X-Script': 'yes',
+      'X-Frame-Options': 'DENY'
+    });
+    assert.deepStrictEqual(resolveRoute({ routes, files }, '/assets/css/site.css').headers, {
+      'Cache-Control': 'no-cache',
+      'X-Frame-Options': 'DENY'
+    });
+  });
+
+  it('serves directory indexes', () => {
+    assert.strictEqual(resolveRoute({ files }, '/').objectPath, 'index.html');
+    assert.strictEqual(resolveRoute({ files }, '/about').objectPath, 'about/index.html');
+    assert.strictEqual(resolveRoute({ files }, '/about/').objectPath, 'about/index.html');
+  });
+
+  it('falls back to the SPA entry for pages but not for missing assets', () => {
+    const manifest = { routes: { spa: true }, files };
+
+    assert.deepStrictEqual(resolveRoute(manifest, '/dashboard/settings', { acceptsHtml: false }), {
+      objectPath: 'index.html',
+      status: 200,
+      headers: {}
+    });
+    assert.strictEqual(resolveRoute(manifest, '/report.pdf', { acceptsHtml: true }).objectPath, 'index.html');
+    assert.deepStrictEqual(resolveRoute(manifest, '/assets/missing.js', { acceptsHtml: false }), {
+      objectPath: '404.html',
+      status: 404,
+      headers: {}
+    });
+  });
+
+  it('answers missing paths with 404.html and a 404 status', () => {
+    assert.deepStrictEqual(resolveRoute({ files }, '/nowhere'), {
+      objectPath: '404.html',
+      status: 404,
+      headers: {}
+    });
+  });
+
+  it('leaves missing paths alone when there is no 404 page', () => {
+    const { objectPath, status } = resolveRoute({ files: { 'index.html': {} } }, '/nowhere');
+    assert.strictEqual(objectPath, 'nowhere');
+    assert.strictEqual(status, 200);
+  });
+
+  it('refuses rewrites that would leave the deployment', () => {
+    const routes = { rewrites: [{ source: '/docs/:rest*', destination: '/content/:rest*' }] };
+    assert.strictEqual(resolveRoute({ routes, files }, '/docs/../../../__config/access/site.json'), null);
+  });
+});
+
+describe('normalizePath', () => {
+  it('resolves harmless dot segments and repeated slashes', () => {
+    assert.strictEqual(normalizePath('/a/./b//c'), '/a/b/c');
+    assert.strictEqual(normalizePath('/about/'), '/about/');
+  });
+
+  it('refuses parent segments however the separator was written', () => {
+    assert.strictEqual(normalizePath('/../../../__config/access/p.json'), null);
+    assert.strictEqual(normalizePath('/assets/../../secret'), null);
+    assert.strictEqual(normalizePath('/assets\\..\\secret'), null);
+    assert.strictEqual(normalizePath('/..'), null);
+    assert.strictEqual(normalizePath('relative/path'), null);
+    assert.strictEqual(normalizePath('/a\0b'), null);
+  });
+
+  it('keeps names that merely contain dots', () => {
+    assert.strictEqual(normalizePath('/..well-known/x'), '/..well-known/x');
+    assert.strictEqual(normalizePath('/files/archive..tar'), '/files/archive..tar');
+  });
+});